@@ -4,24 +4,116 @@
  */
 
 class StockPriceCalculator {
-    constructor() {
+    constructor(options = {}) {
+        // Exchange calendars and sessions (market-calendar.js); the injectable clock is read through this.now()
+        this.marketCalendar = new MarketCalendar({ clock: options.clock });
+        
         // Application state
         this.currentStock = null;
         this.currentPrice = 0;
+        this.lastProjectedPrice = null;
+        this.scenarioLadder = { range: 20, step: 5, minStep: 0.5, maxSteps: 100 }; // default ±20% in 5% steps; at most 201 rows
+        this.growthChart = null; // compound growth path in the projection section
+        this.tradePlanKey = 'stockCalc_tradePlan'; // account size and risk percent
+        this.tradePlan = null; // last valid stop-loss / take-profit plan, drawn on the price chart
+        this.optionLegsKey = 'stockCalc_optionLegs';
+        this.optionLegs = {}; // symbol -> option legs entered for that underlying
+        this.optionContractSize = 100; // shares per contract
+        this.optionsChart = null;
         this.alerts = [];
+        this.alertsKey = 'stockCalc_alerts';
+        this.alertHistoryKey = 'stockCalc_alertHistory';
+        this.alertHistory = [];
+        this.maxAlertHistory = 200;
+        this.alertSnoozeMinutes = 60;
+        this.alertTypes = {
+            'drop': { unit: '%' },
+            'rise': { unit: '%' },
+            'above': { unit: '$' },
+            'below': { unit: '$' },
+            'cross-above': { unit: '$' },
+            'cross-below': { unit: '$' },
+            'change-up': { unit: '%' },
+            'change-down': { unit: '%' },
+            'volume': { unit: '× avg' },
+            'high52': { unit: null }, // no value: the 52-week high/low at the time the alert is set
+            'low52': { unit: null }
+        };
         this.autoRefreshInterval = null;
         this.isAutoRefreshEnabled = false;
         this.refreshIntervalSeconds = 300; // Default: 5 minutes
         this.chart = null;
         
-        // Market hours configuration
-        this.marketConfig = {
-            openHour: 9,
-            openMinute: 30,
-            closeHour: 16,
-            closeMinute: 0,
-            timezone: 'America/New_York'
+        // Chart ranges: Yahoo range/interval pairs plus the synthetic fallback shape
+        this.chartRanges = {
+            '1D': { range: '1d', interval: '5m', intervalMinutes: 5, points: 78, intraday: true },
+            '5D': { range: '5d', interval: '15m', intervalMinutes: 15, points: 130, intraday: true },
+            '1M': { range: '1mo', interval: '1d', intervalMinutes: 1440, points: 30 },
+            '6M': { range: '6mo', interval: '1d', intervalMinutes: 1440, points: 182 },
+            'YTD': { range: 'ytd', interval: '1d', intervalMinutes: 1440, points: null },
+            '1Y': { range: '1y', interval: '1d', intervalMinutes: 1440, points: 365 },
+            '5Y': { range: '5y', interval: '1wk', intervalMinutes: 10080, points: 260 }
         };
+        this.defaultChartRange = '1M';
+        this.selectedRange = this.defaultChartRange;
+        this.historyCache = {}; // ticker -> range -> { history, source, fetchedAt }
+        
+        // Live bars are cached unadjusted; splits and dividends are applied when the chart renders
+        this.priceAdjustmentKey = 'stockCalc_priceAdjustment';
+        this.priceAdjustment = localStorage.getItem(this.priceAdjustmentKey) === 'raw' ? 'raw' : 'adjusted';
+        this.corporateActions = {}; // ticker -> { splits, dividends, earnings } from Yahoo chart events
+        
+        // Compare mode: extra symbols overlaid on the price chart as percent change from the first bar
+        this.compareSymbolsKey = 'stockCalc_compareSymbols';
+        this.maxCompareSymbols = 5;
+        this.compareSymbols = this.loadCompareSymbols();
+        this.compareRequests = new Set(); // "symbol|range" histories currently being fetched
+        
+        // Risk statistics of the charted series against a benchmark ETF
+        this.benchmarkSettingsKey = 'stockCalc_benchmarkStats'; // benchmark symbol and risk-free rate
+        this.benchmarkSymbols = ['SPY', 'QQQ', 'DIA', 'IWM'];
+        this.benchmarkSettings = this.loadBenchmarkSettings();
+        this.currentHistorySource = null; // 'live' or 'synthetic' for the series on the chart
+        
+        // Chart type (line, area, candlestick, ohlc) and volume sub-panel
+        this.chartTypeKey = 'stockCalc_chartType';
+        this.chartTypes = ['line', 'area', 'candlestick', 'ohlc'];
+        this.chartType = localStorage.getItem(this.chartTypeKey) || 'area';
+        this.volumeChart = null;
+        this.chartAxisWidth = 72; // Shared y-axis width keeps the price and volume panels aligned
+        
+        // Technical indicator overlays and sub-panels (persisted per browser)
+        this.indicatorSettingsKey = 'stockCalc_indicators';
+        this.indicatorSettings = this.loadIndicatorSettings();
+        this.rsiChart = null;
+        this.macdChart = null;
+        
+        // Market hours configuration: exchange definitions live with the calendar rules
+        this.exchanges = this.marketCalendar.exchanges;
+        
+        // Display currency: prices stay in the listing's currency and are converted for display
+        // with Yahoo FX pairs (e.g. EURUSD=X); the fallback table is used offline
+        this.displayCurrencyKey = 'stockCalc_displayCurrency';
+        this.fxRatesKey = 'stockCalc_fxRates';
+        this.displayCurrency = localStorage.getItem(this.displayCurrencyKey) || null; // null = listing currency
+        this.fxFallbackRates = { EUR: 1.08, GBP: 1.27, CAD: 0.73, JPY: 0.0067, CHF: 1.12, AUD: 0.66 }; // USD per unit
+        this.fxRates = this.loadFxRates(); // currency -> { rate, fetchedAt }, USD per unit
+        this.fxCacheMinutes = 60;
+        this.fxRefreshPromise = null;
+        
+        // UI language: saved choice, else the browser's language when a catalog exists for it
+        this.languageKey = 'stockCalc_language';
+        this.messages = this.getMessageCatalog();
+        const browserLanguage = (navigator.language || 'en').split('-')[0];
+        this.language = [localStorage.getItem(this.languageKey), browserLanguage].find(language => this.messages[language]) || 'en';
+        
+        // Number and date formatting locale; null follows the browser
+        this.localeKey = 'stockCalc_locale';
+        this.locale = localStorage.getItem(this.localeKey) || null;
+        this.formatters = new Map(); // cached Intl formatters keyed by type, locale and options
+        
+        // Saved exchange calendar overrides, merged over the built-in table in market-calendar.js
+        this.marketCalendarKey = 'stockCalc_marketCalendar';
         
         // DOM elements
         this.elements = {
@@ -51,7 +143,28 @@ class StockPriceCalculator {
         this.recentSearches = [];
         this.maxRecentSearches = 8;
         this.recentSearchesKey = 'stockCalc_recentSearches';
-        
+
+        // Quote provider registry (priority order, API keys and rate-limit usage)
+        this.providerSettingsKey = 'stockCalc_providerSettings';
+        this.providerUsageKey = 'stockCalc_providerUsage';
+        this.defaultProviderPriority = ['demo', 'yahoo-proxy', 'finnhub', 'alphavantage', 'fmp', 'yahoo'];
+        this.quoteProviders = this.createQuoteProviders();
+        this.providerSettings = this.loadProviderSettings();
+        this.providerRequestLog = {}; // providerId -> timestamps of requests in the last minute
+        this.providerCooldowns = {}; // providerId -> timestamp until which the provider is skipped
+        this.quoteCache = {}; // ticker -> latest normalized quote from any source
+        this.quoteRefreshTimer = null;
+        this.marketCountdown = null; // { text, label, target } for the status bar countdown
+        
+        // Watchlists
+        this.watchlistsKey = 'stockCalc_watchlists';
+        this.watchlists = [];
+        this.activeWatchlistId = null;
+
+        // Portfolio holdings (individual purchase lots)
+        this.portfolioKey = 'stockCalc_portfolio';
+        this.portfolioLots = [];
+
         // Initialize the application
         this.init();
         this.initDarkMode();
@@ -61,10 +174,14 @@ class StockPriceCalculator {
      * Initialize the application with event listeners and setup
      */
     init() {
+        // Translate the static markup before anything renders text into it
+        this.initLanguage();
+        
         this.setupEventListeners();
         this.checkNotificationPermission();
         
         // Initialize market status and set up periodic updates
+        this.loadMarketCalendarOverrides();
         this.initMarketStatus();
         
         // Initialize hybrid data system  
@@ -72,7 +189,32 @@ class StockPriceCalculator {
         
         // Initialize recent searches
         this.initRecentSearches();
+
+        // Initialize data source (quote provider) settings
+        this.initProviderSettings();
         
+        // Initialize the display currency and locale selectors
+        this.initDisplayCurrency();
+        this.initLocale();
+        
+        // Initialize watchlists
+        this.initWatchlists();
+
+        // Initialize portfolio holdings
+        this.initPortfolio();
+
+        // Restore saved price alerts
+        this.initAlerts();
+        
+        // Restore the trade planner's account settings
+        this.initTradePlanner();
+        
+        // Restore option legs entered per underlying
+        this.initOptions();
+
+        // Keep quotes fresh for watchlist, portfolio and alert symbols
+        this.scheduleQuoteRefresh(0);
+
         console.log('Stock Price Calculator initialized');
     }
     
@@ -94,6 +236,10 @@ class StockPriceCalculator {
                 this.setAlert();
             });
             console.log('Alert button event listener set up successfully');
+            
+            document.getElementById('alert-type').addEventListener('change', () => this.updateAlertValueInput());
+            document.getElementById('export-alert-history').addEventListener('click', () => this.exportAlertHistory());
+            document.getElementById('clear-alert-history').addEventListener('click', () => this.clearAlertHistory());
         } else {
             console.error('ERROR: set-alert-btn element not found!');
         }
@@ -137,6 +283,53 @@ class StockPriceCalculator {
             console.error('Projection elements not found:', { percentageInput, projectionType, calculateBtn });
         }
         
+        // Position size feeds the projection card; the ladder settings only the scenario table
+        ['position-size', 'position-mode'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.updateProjectionPosition();
+                this.renderScenarioTable();
+                this.calculateGrowthProjection();
+            });
+        });
+        ['scenario-range', 'scenario-step'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderScenarioTable());
+        });
+        document.getElementById('export-scenarios').addEventListener('click', () => this.exportScenarios());
+        
+        // Reinvested dividends feed the projection card's total return and the growth projection
+        document.getElementById('projection-dividends').addEventListener('change', () => {
+            this.calculateProjection();
+            this.calculateGrowthProjection();
+        });
+        
+        // Growth projection and the analyst-target CAGR
+        ['growth-rate', 'growth-years', 'growth-contribution'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.calculateGrowthProjection());
+        });
+        document.getElementById('growth-use-history').addEventListener('click', () => this.applyHistoryCagr());
+        const targetDate = document.getElementById('target-date');
+        if (!targetDate.value) {
+            const nextYear = this.now();
+            nextYear.setFullYear(nextYear.getFullYear() + 1);
+            targetDate.value = this.formatDateKey(nextYear);
+        }
+        targetDate.addEventListener('input', () => this.calculateImpliedCagr());
+        
+        // Trade planner recalculates on every input; levels can become alerts
+        ['trade-side', 'trade-entry', 'trade-stop', 'trade-stop-unit', 'trade-target', 'trade-target-unit',
+            'trade-account', 'trade-risk', 'trade-show-lines'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.calculateTradePlan());
+        });
+        document.getElementById('trade-create-alerts').addEventListener('click', () => this.createTradeAlerts());
+        
+        // Reverse calculator recalculates as the target or drawdown changes
+        ['reverse-target', 'drawdown-percent'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.calculateRequiredMove());
+        });
+        document.querySelectorAll('[data-reverse-preset]').forEach(button => {
+            button.addEventListener('click', () => this.applyReversePreset(button.dataset.reversePreset));
+        });
+        
         // Auto-refresh controls
         const toggleRefreshBtn = document.getElementById('toggle-refresh-btn');
         const refreshInterval = document.getElementById('refresh-interval');
@@ -164,6 +357,50 @@ class StockPriceCalculator {
             console.error('ERROR: refresh-interval element not found!');
         }
         
+        // Chart type selector
+        const chartTypeSelector = document.getElementById('chart-type-selector');
+        if (chartTypeSelector) {
+            chartTypeSelector.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-chart-type]');
+                if (button) {
+                    this.setChartType(button.dataset.chartType);
+                }
+            });
+            this.updateChartTypeButtons();
+        }
+        
+        // Adjusted / raw price toggle
+        const adjustmentSelector = document.getElementById('price-adjustment-selector');
+        if (adjustmentSelector) {
+            adjustmentSelector.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-adjustment]');
+                if (button) {
+                    this.setPriceAdjustment(button.dataset.adjustment);
+                }
+            });
+            this.updatePriceAdjustmentButtons();
+        }
+        
+        // Technical indicator menu
+        this.initIndicatorMenu();
+        
+        // Compare symbols form
+        this.initCompareMode();
+        
+        // Benchmark statistics card
+        this.initBenchmarkStats();
+        
+        // Chart range selector
+        const rangeSelector = document.getElementById('chart-range-selector');
+        if (rangeSelector) {
+            rangeSelector.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-range]');
+                if (button) {
+                    this.loadChartRange(button.dataset.range);
+                }
+            });
+        }
+        
         // Notification permission
         document.getElementById('enable-notifications').addEventListener('click', () => {
             this.requestNotificationPermission();
@@ -175,76 +412,606 @@ class StockPriceCalculator {
     }
     
     /**
-     * Fetch stock price from multiple API sources with fallback
-     * Using CORS-enabled APIs and proxies for reliable access
+     * Fetch stock price through the quote provider chain with fallback
+     * Providers are tried in the configured priority order (see createQuoteProviders)
      */
     async fetchStockPrice() {
         const ticker = this.elements.tickerInput.value.trim().toUpperCase();
-        
+
         if (!ticker) {
-            this.showError('Please enter a stock ticker symbol');
+            this.showError(this.t('error.needTicker'));
             return;
         }
-        
+
         console.log(`=== Starting fetchStockPrice for: ${ticker} ===`);
         this.showLoading(true);
         this.hideError();
-        
-        // Check if we have offline data available first (faster and more reliable)
-        if (this.hasOfflineData(ticker) || this.isDemoTicker(ticker)) {
-            console.log(`Using offline data for ${ticker}`);
+
+        try {
+            const quote = await this.fetchQuote(ticker);
+
+            // The offline demo provider answered first in the priority order
+            if (quote.offline) {
+                console.log(`Using offline data for ${ticker}`);
+                this.showDemoData(ticker);
+                return;
+            }
+
+            this.currentStock = ticker;
+            this.currentPrice = quote.price;
+
+            // Generate enhanced stock data for API-fetched price
+            const stockData = this.getEnhancedStockData(ticker);
+            stockData.currentPrice = quote.price; // Use real price
+            stockData.isLiveData = true;
+            stockData.dataSource = quote.providerName;
+            
+            // Replace the synthetic history with the real OHLCV bars when the provider sent them
+            const chartResult = this.extractYahooChartResult(quote);
+            if (chartResult && this.applyYahooChartData(stockData, chartResult)) {
+                this.seedHistoryCache(ticker, stockData.dailyHistory);
+            }
+            this.currentStockData = stockData;
+
+            this.displayStockData(ticker, stockData);
+            this.showSections();
+            this.checkAlerts();
+            this.showLoading(false); // Ensure loading is hidden for real data
+
+            console.log(`Successfully fetched real data from ${quote.providerName}: $${quote.price}`);
+        } catch (error) {
+            console.log(`Real data fetch failed (${error.message}), using demo data for ${ticker}`);
+
+            // Always fall back to demo data instead of showing errors
             this.showDemoData(ticker);
-            return;
         }
-        
-        // For unknown tickers, try a simple API call with quick timeout
+    }
+
+    /**
+     * Build the quote provider registry
+     * Each provider declares how to build its request URL, how to parse the
+     * response, whether it needs an API key and its default rate limits
+     */
+    createQuoteProviders() {
+        // A year of daily bars gives both the chart history and the 52-week range;
+        // events adds the dividends, splits and earnings dates over the same span
+        const yahooChartUrl = (ticker, range = '1y', interval = '1d') =>
+            `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?range=${range}&interval=${interval}&events=div%7Csplit%7Cearn`;
+
+        return {
+            'yahoo': {
+                id: 'yahoo',
+                name: 'Yahoo Finance (direct)',
+                requiresKey: false,
+                timeout: 3000,
+                rateLimit: { perMinute: 60, perDay: 2000 },
+                buildUrl: (ticker) => yahooChartUrl(ticker),
+                buildHistoryUrl: (ticker, range, interval) => yahooChartUrl(ticker, range, interval),
+                parse: (data, ticker) => this.parseYahooFinanceData(data, ticker),
+                details: (data) => this.getYahooQuoteDetails(this.extractYahooChartResult({ providerId: 'yahoo', data }))
+            },
+            'yahoo-proxy': {
+                id: 'yahoo-proxy',
+                name: 'Yahoo Finance (via AllOrigins)',
+                requiresKey: false,
+                timeout: 3000,
+                rateLimit: { perMinute: 30, perDay: 1000 },
+                buildUrl: (ticker) => `https://api.allorigins.win/get?url=${encodeURIComponent(yahooChartUrl(ticker))}`,
+                buildHistoryUrl: (ticker, range, interval) => `https://api.allorigins.win/get?url=${encodeURIComponent(yahooChartUrl(ticker, range, interval))}`,
+                parse: (data, ticker) => this.parseProxiedYahooData(data, ticker),
+                details: (data) => this.getYahooQuoteDetails(this.extractYahooChartResult({ providerId: 'yahoo-proxy', data }))
+            },
+            'alphavantage': {
+                id: 'alphavantage',
+                name: 'Alpha Vantage',
+                requiresKey: true,
+                timeout: 5000,
+                rateLimit: { perMinute: 5, perDay: 25 },
+                buildUrl: (ticker, apiKey) => `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(ticker)}&apikey=${encodeURIComponent(apiKey)}`,
+                parse: (data, ticker) => this.parseAlphaVantageData(data, ticker),
+                details: (data) => {
+                    const quote = data['Global Quote'] || {};
+                    return {
+                        previousClose: parseFloat(quote['08. previous close']) || null,
+                        open: parseFloat(quote['02. open']) || null,
+                        dayHigh: parseFloat(quote['03. high']) || null,
+                        dayLow: parseFloat(quote['04. low']) || null,
+                        volume: parseFloat(quote['06. volume']) || null
+                    };
+                }
+            },
+            'finnhub': {
+                id: 'finnhub',
+                name: 'Finnhub',
+                requiresKey: true,
+                timeout: 5000,
+                rateLimit: { perMinute: 60, perDay: null },
+                buildUrl: (ticker, apiKey) => `https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(ticker)}&token=${encodeURIComponent(apiKey)}`,
+                parse: (data, ticker) => this.parseFinnHubData(data, ticker),
+                details: (data) => ({
+                    previousClose: data.pc || null,
+                    open: data.o || null,
+                    dayHigh: data.h || null,
+                    dayLow: data.l || null
+                })
+            },
+            'fmp': {
+                id: 'fmp',
+                name: 'Financial Modeling Prep',
+                requiresKey: true,
+                timeout: 5000,
+                rateLimit: { perMinute: null, perDay: 250 },
+                buildUrl: (ticker, apiKey) => `https://financialmodelingprep.com/api/v3/quote/${encodeURIComponent(ticker)}?apikey=${encodeURIComponent(apiKey)}`,
+                parse: (data, ticker) => this.parseFinancialModelingPrepData(data, ticker),
+                details: (data) => {
+                    const quote = Array.isArray(data) && data[0] ? data[0] : {};
+                    return {
+                        previousClose: quote.previousClose || null,
+                        open: quote.open || null,
+                        dayHigh: quote.dayHigh || null,
+                        dayLow: quote.dayLow || null,
+                        volume: quote.volume || null,
+                        avgVolume: quote.avgVolume || null,
+                        weekHigh52: quote.yearHigh || null,
+                        weekLow52: quote.yearLow || null
+                    };
+                }
+            },
+            'demo': {
+                id: 'demo',
+                name: 'Offline Demo Data',
+                requiresKey: false,
+                offline: true,
+                rateLimit: { perMinute: null, perDay: null },
+                supports: (ticker) => this.hasOfflineData(ticker) || this.isDemoTicker(ticker)
+            }
+        };
+    }
+
+    /**
+     * Load provider priority, API keys and rate-limit overrides from localStorage
+     */
+    loadProviderSettings() {
+        const defaults = {
+            priority: [...this.defaultProviderPriority],
+            disabled: [],
+            apiKeys: {},
+            rateLimits: {}
+        };
+
         try {
-            console.log(`Attempting to fetch real data for ${ticker}...`);
-            
-            // Use a simple, reliable API with short timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 3000); // 3 second timeout
-            
-            const response = await fetch(`https://api.allorigins.win/get?url=${encodeURIComponent(`https://query1.finance.yahoo.com/v8/finance/chart/${ticker}`)}`, {
+            const saved = JSON.parse(localStorage.getItem(this.providerSettingsKey) || 'null');
+            if (!saved) return defaults;
+
+            // Keep only known providers and append any new ones at the end
+            const priority = (saved.priority || []).filter(id => this.quoteProviders[id]);
+            this.defaultProviderPriority.forEach(id => {
+                if (!priority.includes(id)) priority.push(id);
+            });
+
+            return {
+                priority: priority,
+                disabled: Array.isArray(saved.disabled) ? saved.disabled : [],
+                apiKeys: saved.apiKeys || {},
+                rateLimits: saved.rateLimits || {}
+            };
+        } catch (error) {
+            console.error('Error loading provider settings:', error);
+            return defaults;
+        }
+    }
+
+    saveProviderSettings() {
+        try {
+            localStorage.setItem(this.providerSettingsKey, JSON.stringify(this.providerSettings));
+        } catch (error) {
+            console.error('Error saving provider settings:', error);
+        }
+    }
+
+    /**
+     * Set the provider priority order (e.g. ['finnhub', 'fmp', 'yahoo-proxy', 'demo'])
+     * Providers left out keep their relative order after the listed ones
+     */
+    setProviderPriority(priority) {
+        const ordered = priority.filter(id => this.quoteProviders[id]);
+        this.providerSettings.priority.forEach(id => {
+            if (!ordered.includes(id)) ordered.push(id);
+        });
+        this.providerSettings.priority = ordered;
+        this.saveProviderSettings();
+        this.renderProviderSettings();
+    }
+
+    setProviderApiKey(providerId, apiKey) {
+        if (!this.quoteProviders[providerId]) return;
+
+        const key = (apiKey || '').trim();
+        if (key) {
+            this.providerSettings.apiKeys[providerId] = key;
+        } else {
+            delete this.providerSettings.apiKeys[providerId];
+        }
+        this.saveProviderSettings();
+    }
+
+    setProviderEnabled(providerId, enabled) {
+        const disabled = this.providerSettings.disabled.filter(id => id !== providerId);
+        if (!enabled) disabled.push(providerId);
+        this.providerSettings.disabled = disabled;
+        this.saveProviderSettings();
+    }
+
+    /**
+     * Effective rate limits for a provider (paid plans can override the defaults)
+     */
+    getProviderRateLimit(providerId) {
+        const provider = this.quoteProviders[providerId];
+        return { ...provider.rateLimit, ...(this.providerSettings.rateLimits[providerId] || {}) };
+    }
+
+    /**
+     * Check whether a provider can be used for a request right now
+     */
+    isProviderAvailable(providerId) {
+        const provider = this.quoteProviders[providerId];
+        if (!provider || this.providerSettings.disabled.includes(providerId)) return false;
+        if (provider.requiresKey && !this.providerSettings.apiKeys[providerId]) return false;
+        if (provider.offline) return true;
+
+        const now = Date.now();
+        if (this.providerCooldowns[providerId] && this.providerCooldowns[providerId] > now) return false;
+
+        const limit = this.getProviderRateLimit(providerId);
+        const recent = (this.providerRequestLog[providerId] || []).filter(time => now - time < 60000);
+        this.providerRequestLog[providerId] = recent;
+        if (limit.perMinute && recent.length >= limit.perMinute) return false;
+
+        if (limit.perDay && this.getProviderDailyUsage(providerId) >= limit.perDay) return false;
+
+        return true;
+    }
+
+    getProviderDailyUsage(providerId) {
+        try {
+            const usage = JSON.parse(localStorage.getItem(this.providerUsageKey) || '{}');
+            const today = new Date().toISOString().split('T')[0];
+            return usage[providerId] && usage[providerId].date === today ? usage[providerId].count : 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    recordProviderRequest(providerId) {
+        const now = Date.now();
+        this.providerRequestLog[providerId] = (this.providerRequestLog[providerId] || []).concat(now);
+
+        try {
+            const usage = JSON.parse(localStorage.getItem(this.providerUsageKey) || '{}');
+            const today = new Date().toISOString().split('T')[0];
+            const count = usage[providerId] && usage[providerId].date === today ? usage[providerId].count : 0;
+            usage[providerId] = { date: today, count: count + 1 };
+            localStorage.setItem(this.providerUsageKey, JSON.stringify(usage));
+        } catch (error) {
+            console.error('Error recording provider usage:', error);
+        }
+    }
+
+    /**
+     * Fetch a URL with an abort timeout
+     */
+    async fetchWithTimeout(url, timeoutMs) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            return await fetch(url, {
                 method: 'GET',
                 headers: { 'Accept': 'application/json' },
                 signal: controller.signal
             });
-            
+        } finally {
             clearTimeout(timeoutId);
-            
-            if (response.ok) {
+        }
+    }
+
+    /**
+     * Request a quote from the providers in priority order, failing over to the
+     * next provider on errors, missing keys or exhausted rate limits.
+     * Resolves to { ticker, price, providerId, providerName, data, details, offline }.
+     */
+    async fetchQuote(ticker, options = {}) {
+        const allowOffline = options.allowOffline !== false;
+        const failures = [];
+
+        for (const providerId of this.providerSettings.priority) {
+            const provider = this.quoteProviders[providerId];
+
+            if (!this.isProviderAvailable(providerId)) {
+                continue;
+            }
+
+            if (provider.offline) {
+                if (allowOffline && provider.supports(ticker)) {
+                    return { ticker, price: null, providerId, providerName: provider.name, data: null, offline: true };
+                }
+                continue;
+            }
+
+            try {
+                this.recordProviderRequest(providerId);
+                const url = provider.buildUrl(ticker, this.providerSettings.apiKeys[providerId]);
+                const response = await this.fetchWithTimeout(url, provider.timeout);
+
+                if (response.status === 429) {
+                    this.providerCooldowns[providerId] = Date.now() + 60000;
+                    throw new Error('429 rate limit');
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
                 const data = await response.json();
-                const price = await this.parseProxiedYahooData(data, ticker);
+                const price = await provider.parse(data, ticker);
+
+                if (!price || price <= 0) {
+                    throw new Error('API returned invalid data');
+                }
+
+                let details = {};
+                try {
+                    details = provider.details ? provider.details(data) : {};
+                } catch (error) {
+                    console.log(`Provider ${provider.name} details unavailable: ${error.message}`);
+                }
                 
-                if (price && price > 0) {
-                    this.currentStock = ticker;
-                    this.currentPrice = price;
-                    
-                    // Generate enhanced stock data for API-fetched price
-                    const stockData = this.getEnhancedStockData(ticker);
-                    stockData.currentPrice = price; // Use real price
-                    this.currentStockData = stockData;
-                    
-                    this.displayStockData(ticker, stockData);
-                    this.showSections();
-                    this.checkAlerts();
-                    this.showLoading(false); // Ensure loading is hidden for real data
-                    
-                    console.log(`Successfully fetched real data: $${price}`);
-                    return;
+                return { ticker, price, providerId, providerName: provider.name, data, details, offline: false };
+            } catch (error) {
+                if (error.message.includes('rate limit')) {
+                    this.providerCooldowns[providerId] = Date.now() + 60000;
                 }
+                console.log(`Provider ${provider.name} failed for ${ticker}: ${error.message}`);
+                failures.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`All data sources failed for ${ticker}${failures.length ? ` (${failures.join('; ')})` : ''}`);
+    }
+
+    /**
+     * Get a normalized quote for any symbol (watchlists, portfolio, alerts)
+     * Live providers are tried first; offline symbols get a simulated tick from their last quote
+     */
+    async getQuote(ticker) {
+        const symbol = ticker.toUpperCase();
+        
+        try {
+            const result = await this.fetchQuote(symbol);
+            if (!result.offline) {
+                return this.recordQuote(this.normalizeQuote(result));
             }
-            
-            throw new Error('API returned invalid data');
-            
         } catch (error) {
-            console.log(`Real data fetch failed (${error.message}), using demo data for ${ticker}`);
-            
-            // Always fall back to demo data instead of showing errors
-            this.showDemoData(ticker);
-            return;
+            console.log(`Quote fetch failed for ${symbol}: ${error.message}`);
+        }
+        
+        return this.recordQuote(this.getOfflineQuote(symbol));
+    }
+    
+    /**
+     * Convert a provider result into the shared quote shape
+     */
+    normalizeQuote(result) {
+        const details = result.details || {};
+        const cached = this.quoteCache[result.ticker];
+        const previousClose = details.previousClose || (cached ? cached.previousClose : null);
+        const change = previousClose ? result.price - previousClose : 0;
+        
+        return {
+            ticker: result.ticker,
+            name: cached ? cached.name : result.ticker,
+            price: result.price,
+            previousClose: previousClose,
+            change: change,
+            changePercent: previousClose ? (change / previousClose) * 100 : 0,
+            open: details.open || null,
+            dayHigh: details.dayHigh || null,
+            dayLow: details.dayLow || null,
+            volume: details.volume || null,
+            avgVolume: details.avgVolume || null,
+            weekHigh52: details.weekHigh52 || null,
+            weekLow52: details.weekLow52 || null,
+            isLive: true,
+            source: result.providerName,
+            updatedAt: Date.now()
+        };
+    }
+    
+    /**
+     * Build a quote from the enhanced stock data shown in the main display
+     */
+    buildQuoteFromStockData(stockData) {
+        const previousClose = stockData.currentPrice - stockData.dailyChange;
+        
+        return {
+            ticker: stockData.ticker,
+            name: stockData.name,
+            price: stockData.currentPrice,
+            previousClose: previousClose,
+            change: stockData.dailyChange,
+            changePercent: stockData.dailyChangePercent,
+            open: stockData.priceHistory && stockData.priceHistory.length
+                ? stockData.priceHistory[stockData.priceHistory.length - 1].open
+                : previousClose,
+            dayHigh: stockData.dayRangeHigh,
+            dayLow: stockData.dayRangeLow,
+            volume: stockData.volume,
+            avgVolume: stockData.avgVolume || null,
+            weekHigh52: stockData.weekHigh52,
+            weekLow52: stockData.weekLow52,
+            isLive: !!stockData.isLiveData,
+            source: stockData.dataSource || this.quoteProviders.demo.name,
+            updatedAt: Date.now()
+        };
+    }
+    
+    /**
+     * Offline quote: the main display's data for the loaded symbol, otherwise a seeded
+     * quote that moves with the same market-aware volatility as the demo simulator
+     */
+    getOfflineQuote(symbol) {
+        if (this.currentStockData && this.currentStockData.ticker === symbol) {
+            return this.buildQuoteFromStockData(this.currentStockData);
+        }
+        
+        const cached = this.quoteCache[symbol];
+        if (!cached || cached.isLive) {
+            return this.buildQuoteFromStockData(this.getEnhancedStockData(symbol));
+        }
+        
+        const { maxChangePercent, changeFrequency } = this.getSimulatedVolatility(this.getMarketStatus(this.getExchange(symbol)).status);
+        if (Math.random() > changeFrequency) {
+            return { ...cached, updatedAt: Date.now() };
+        }
+        
+        const price = cached.price * (1 + (Math.random() - 0.5) * maxChangePercent * 2);
+        const change = price - cached.previousClose;
+        return {
+            ...cached,
+            price: price,
+            change: change,
+            changePercent: (change / cached.previousClose) * 100,
+            dayHigh: Math.max(cached.dayHigh || price, price),
+            dayLow: Math.min(cached.dayLow || price, price),
+            updatedAt: Date.now()
+        };
+    }
+    
+    /**
+     * Store a quote and push it to everything that shows per-symbol prices
+     */
+    recordQuote(quote) {
+        this.quoteCache[quote.ticker] = quote;
+        this.onQuoteUpdated(quote);
+        return quote;
+    }
+    
+    onQuoteUpdated(quote) {
+        this.updateWatchlistRow(quote);
+        if (this.portfolioLots.some(lot => lot.ticker === quote.ticker)) {
+            this.renderPortfolio();
+        }
+        this.checkAlerts(quote);
+    }
+    
+    /**
+     * Symbols the background refresh keeps quotes for
+     */
+    getTrackedSymbols() {
+        const list = this.getActiveWatchlist();
+        const symbols = list ? [...list.symbols] : [];
+        this.portfolioLots.forEach(lot => symbols.push(lot.ticker));
+        this.alerts.forEach(alert => symbols.push(alert.symbol));
+        return [...new Set(symbols)];
+    }
+    
+    /**
+     * Refresh on the same market-aware cadence as auto-refresh
+     */
+    scheduleQuoteRefresh(delaySeconds = this.getMarketAwareInterval()) {
+        if (this.quoteRefreshTimer) {
+            clearTimeout(this.quoteRefreshTimer);
         }
+    
+        this.quoteRefreshTimer = setTimeout(async () => {
+            if (!document.hidden) {
+                for (const symbol of this.getTrackedSymbols()) {
+                    await this.getQuote(symbol);
+                }
+            }
+            this.scheduleQuoteRefresh();
+        }, delaySeconds * 1000);
+    }
+    
+    /**
+     * Initialize the data source settings panel
+     */
+    initProviderSettings() {
+        const list = document.getElementById('provider-list');
+        if (!list) return;
+
+        // One delegated handler for the reorder buttons, toggles and key inputs
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-move]');
+            if (!button) return;
+
+            const providerId = button.dataset.provider;
+            const priority = [...this.providerSettings.priority];
+            const index = priority.indexOf(providerId);
+            const target = button.dataset.move === 'up' ? index - 1 : index + 1;
+            if (index < 0 || target < 0 || target >= priority.length) return;
+
+            [priority[index], priority[target]] = [priority[target], priority[index]];
+            this.setProviderPriority(priority);
+        });
+
+        list.addEventListener('change', (e) => {
+            const providerId = e.target.dataset.provider;
+            if (!providerId) return;
+
+            if (e.target.type === 'checkbox') {
+                this.setProviderEnabled(providerId, e.target.checked);
+            } else if (e.target.classList.contains('provider-key')) {
+                this.setProviderApiKey(providerId, e.target.value);
+            }
+            this.renderProviderSettings();
+        });
+
+        this.renderProviderSettings();
+    }
+
+    /**
+     * Render providers in priority order with their key and rate-limit status
+     */
+    renderProviderSettings() {
+        const list = document.getElementById('provider-list');
+        if (!list) return;
+
+        const priority = this.providerSettings.priority;
+        list.innerHTML = priority.map((providerId, index) => {
+            const provider = this.quoteProviders[providerId];
+            const enabled = !this.providerSettings.disabled.includes(providerId);
+            const apiKey = this.providerSettings.apiKeys[providerId] || '';
+            const limit = this.getProviderRateLimit(providerId);
+            const limitText = [
+                limit.perMinute ? this.t('providers.perMinute', { count: limit.perMinute }) : null,
+                limit.perDay ? this.t('providers.perDay', { count: limit.perDay }) : null
+            ].filter(Boolean).join(', ') || this.t('providers.noLimit');
+            const needsKey = provider.requiresKey && !apiKey;
+
+            return `
+                <li class="provider-item${enabled ? '' : ' disabled'}">
+                    <span class="provider-rank">${index + 1}</span>
+                    <label class="provider-name">
+                        <input type="checkbox" data-provider="${providerId}" ${enabled ? 'checked' : ''}>
+                        ${provider.name}
+                    </label>
+                    ${provider.requiresKey ? `
+                        <input type="password" class="provider-key" data-provider="${providerId}"
+                            placeholder="${this.t('providers.apiKey')}" autocomplete="off">
+                    ` : ''}
+                    <span class="provider-limit">${needsKey ? this.t('providers.keyRequired') : limitText}</span>
+                    <span class="provider-move">
+                        <button type="button" data-provider="${providerId}" data-move="up" ${index === 0 ? 'disabled' : ''} aria-label="${this.t('common.moveUp')}">▲</button>
+                        <button type="button" data-provider="${providerId}" data-move="down" ${index === priority.length - 1 ? 'disabled' : ''} aria-label="${this.t('common.moveDown')}">▼</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+
+        // Keys are user input, so they go through the DOM rather than into the markup
+        list.querySelectorAll('.provider-key').forEach(input => {
+            input.value = this.providerSettings.apiKeys[input.dataset.provider] || '';
+        });
     }
     
     /**
@@ -317,24 +1084,20 @@ class StockPriceCalculator {
         `;
         
         const now = new Date();
-        const dateTimeString = now.toLocaleString('en-US', {
+        const dateTimeString = this.formatDate(now, {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
             day: 'numeric',
             hour: '2-digit',
             minute: '2-digit',
-            second: '2-digit',
-            hour12: true
+            second: '2-digit'
         });
         
         demoNotice.innerHTML = `
             <div style="display: flex; align-items: center; justify-content: center; gap: 8px; margin-bottom: 8px;">
                 <span style="font-size: 1.2em;">🕒</span>
-                <strong>Last Updated</strong>
-            </div>
-            <div style="font-size: 1.1em; font-weight: 500;">
-                ${dateTimeString}
+                <strong>${this.t('data.lastUpdated', { time: dateTimeString })}</strong>
             </div>
         `;
         
@@ -365,10 +1128,12 @@ class StockPriceCalculator {
                 weekHigh52: 260.10, 
                 weekLow52: 169.21, 
                 earningsDate: '2025-10-30',
-                marketCap: '3.6T',
+                marketCap: 3.6e12,
                 peRatio: 28.5,
                 targetPrice: 275.0,
-                avgVolume: '58.5M'
+                avgVolume: 58.5e6,
+                dividend: { annual: 1.04, frequency: 4, exDate: '2025-08-11', payDate: '2025-08-14' },
+                splits: [{ date: '2020-08-31', ratio: 4 }]
             },
             'GOOGL': { 
                 base: 240.80, 
@@ -377,10 +1142,12 @@ class StockPriceCalculator {
                 weekHigh52: 242.25, 
                 weekLow52: 140.53, 
                 earningsDate: '2025-10-23',
-                marketCap: '2.1T',
+                marketCap: 2.1e12,
                 peRatio: 23.8,
                 targetPrice: 280.0,
-                avgVolume: '34.2M'
+                avgVolume: 34.2e6,
+                dividend: { annual: 0.84, frequency: 4, exDate: '2025-09-08', payDate: '2025-09-15' },
+                splits: [{ date: '2022-07-18', ratio: 20 }]
             },
             'MSFT': { 
                 base: 509.90, 
@@ -389,10 +1156,11 @@ class StockPriceCalculator {
                 weekHigh52: 555.45, 
                 weekLow52: 344.79, 
                 earningsDate: '2025-10-29',
-                marketCap: '3.1T',
+                marketCap: 3.1e12,
                 peRatio: 31.2,
                 targetPrice: 580.0,
-                avgVolume: '28.7M'
+                avgVolume: 28.7e6,
+                dividend: { annual: 3.32, frequency: 4, exDate: '2025-08-21', payDate: '2025-09-11' }
             },
             'TSLA': { 
                 base: 395.94, 
@@ -401,47 +1169,48 @@ class StockPriceCalculator {
                 weekHigh52: 488.54, 
                 weekLow52: 212.11, 
                 earningsDate: '2025-10-22',
-                marketCap: '1.3T',
+                marketCap: 1.3e12,
                 peRatio: 65.4,
                 targetPrice: 420.0,
-                avgVolume: '89.3M'
+                avgVolume: 89.3e6,
+                splits: [{ date: '2020-08-31', ratio: 5 }, { date: '2022-08-25', ratio: 3 }]
             },
-            'AMZN': { base: 228.15, name: 'Amazon.com Inc.', sector: 'Consumer Cyclical', weekHigh52: 242.52, weekLow52: 161.38, earningsDate: '2025-10-30' },
-            'NVDA': { base: 177.82, name: 'NVIDIA Corporation', sector: 'Technology', weekHigh52: 184.48, weekLow52: 86.62, earningsDate: '2025-11-19' },
-            'META': { base: 755.59, name: 'Meta Platforms Inc.', sector: 'Technology', weekHigh52: 755.59, weekLow52: 455.72, earningsDate: '2025-10-25' },
+            'AMZN': { base: 228.15, name: 'Amazon.com Inc.', sector: 'Consumer Cyclical', weekHigh52: 242.52, weekLow52: 161.38, earningsDate: '2025-10-30', splits: [{ date: '2022-06-06', ratio: 20 }] },
+            'NVDA': { base: 177.82, name: 'NVIDIA Corporation', sector: 'Technology', weekHigh52: 184.48, weekLow52: 86.62, earningsDate: '2025-11-19', dividend: { annual: 0.04, frequency: 4, exDate: '2025-09-11', payDate: '2025-10-02' }, splits: [{ date: '2021-07-20', ratio: 4 }, { date: '2024-06-10', ratio: 10 }] },
+            'META': { base: 755.59, name: 'Meta Platforms Inc.', sector: 'Technology', weekHigh52: 755.59, weekLow52: 455.72, earningsDate: '2025-10-25', dividend: { annual: 2.10, frequency: 4, exDate: '2025-09-22', payDate: '2025-09-29' } },
             'NFLX': { base: 1188.44, name: 'Netflix Inc.', sector: 'Communication Services', weekHigh52: 1188.44, weekLow52: 865.23, earningsDate: '2025-10-17' },
             
             // ETFs
-            'SPY': { base: 435.20, name: 'SPDR S&P 500 ETF', sector: 'ETF' },
-            'QQQ': { base: 365.80, name: 'Invesco QQQ ETF', sector: 'ETF' },
+            'SPY': { base: 435.20, name: 'SPDR S&P 500 ETF', sector: 'ETF', dividend: { annual: 7.06, frequency: 4, exDate: '2025-09-19', payDate: '2025-10-31' } },
+            'QQQ': { base: 365.80, name: 'Invesco QQQ ETF', sector: 'ETF', dividend: { annual: 2.82, frequency: 4, exDate: '2025-09-22', payDate: '2025-09-30' } },
             
             // Financial
             'BRK.B': { base: 342.50, name: 'Berkshire Hathaway Inc.', sector: 'Financial' },
-            'JPM': { base: 145.75, name: 'JPMorgan Chase & Co.', sector: 'Financial', earningsDate: '2025-10-11' },
-            'V': { base: 245.30, name: 'Visa Inc.', sector: 'Financial', earningsDate: '2025-10-24' },
-            'MA': { base: 415.60, name: 'Mastercard Inc.', sector: 'Financial' },
+            'JPM': { base: 145.75, name: 'JPMorgan Chase & Co.', sector: 'Financial', earningsDate: '2025-10-11', dividend: { annual: 6.00, frequency: 4, exDate: '2025-10-06', payDate: '2025-10-31' } },
+            'V': { base: 245.30, name: 'Visa Inc.', sector: 'Financial', earningsDate: '2025-10-24', dividend: { annual: 2.36, frequency: 4, exDate: '2025-08-12', payDate: '2025-09-02' } },
+            'MA': { base: 415.60, name: 'Mastercard Inc.', sector: 'Financial', dividend: { annual: 3.04, frequency: 4, exDate: '2025-10-09', payDate: '2025-11-07' } },
             
             // Healthcare & Consumer
-            'JNJ': { base: 160.25, name: 'Johnson & Johnson', sector: 'Healthcare', earningsDate: '2025-10-16' },
-            'PG': { base: 155.40, name: 'Procter & Gamble Co.', sector: 'Consumer Defensive' },
-            'UNH': { base: 485.90, name: 'UnitedHealth Group Inc.', sector: 'Healthcare', earningsDate: '2025-10-17' },
-            'HD': { base: 325.15, name: 'Home Depot Inc.', sector: 'Consumer Cyclical' },
+            'JNJ': { base: 160.25, name: 'Johnson & Johnson', sector: 'Healthcare', earningsDate: '2025-10-16', dividend: { annual: 5.20, frequency: 4, exDate: '2025-08-26', payDate: '2025-09-09' } },
+            'PG': { base: 155.40, name: 'Procter & Gamble Co.', sector: 'Consumer Defensive', dividend: { annual: 4.23, frequency: 4, exDate: '2025-10-24', payDate: '2025-11-17' } },
+            'UNH': { base: 485.90, name: 'UnitedHealth Group Inc.', sector: 'Healthcare', earningsDate: '2025-10-17', dividend: { annual: 8.84, frequency: 4, exDate: '2025-09-15', payDate: '2025-09-23' } },
+            'HD': { base: 325.15, name: 'Home Depot Inc.', sector: 'Consumer Cyclical', dividend: { annual: 9.20, frequency: 4, exDate: '2025-09-04', payDate: '2025-09-18' } },
             
             // Entertainment
-            'DIS': { base: 95.50, name: 'Walt Disney Co.', sector: 'Communication Services' },
-            'DISNEY': { base: 95.50, name: 'Walt Disney Co.', sector: 'Communication Services' },
+            'DIS': { base: 95.50, name: 'Walt Disney Co.', sector: 'Communication Services', dividend: { annual: 1.00, frequency: 2, exDate: '2025-07-08', payDate: '2025-07-23' } },
+            'DISNEY': { base: 95.50, name: 'Walt Disney Co.', sector: 'Communication Services', dividend: { annual: 1.00, frequency: 2, exDate: '2025-07-08', payDate: '2025-07-23' } },
             
             // Beverages
-            'KO': { base: 58.75, name: 'Coca-Cola Co.', sector: 'Consumer Defensive' },
-            'COCA': { base: 58.75, name: 'Coca-Cola Co.', sector: 'Consumer Defensive' },
+            'KO': { base: 58.75, name: 'Coca-Cola Co.', sector: 'Consumer Defensive', dividend: { annual: 2.04, frequency: 4, exDate: '2025-09-15', payDate: '2025-10-01' } },
+            'COCA': { base: 58.75, name: 'Coca-Cola Co.', sector: 'Consumer Defensive', dividend: { annual: 2.04, frequency: 4, exDate: '2025-09-15', payDate: '2025-10-01' } },
             
             // Retail
-            'WMT': { base: 155.80, name: 'Walmart Inc.', sector: 'Consumer Defensive' },
-            'WALMART': { base: 155.80, name: 'Walmart Inc.', sector: 'Consumer Defensive' },
+            'WMT': { base: 155.80, name: 'Walmart Inc.', sector: 'Consumer Defensive', dividend: { annual: 0.94, frequency: 4, exDate: '2025-08-15', payDate: '2025-09-02' }, splits: [{ date: '2024-02-26', ratio: 3 }] },
+            'WALMART': { base: 155.80, name: 'Walmart Inc.', sector: 'Consumer Defensive', dividend: { annual: 0.94, frequency: 4, exDate: '2025-08-15', payDate: '2025-09-02' }, splits: [{ date: '2024-02-26', ratio: 3 }] },
             
             // Apparel
-            'NKE': { base: 105.25, name: 'Nike Inc.', sector: 'Consumer Cyclical' },
-            'NIKE': { base: 105.25, name: 'Nike Inc.', sector: 'Consumer Cyclical' },
+            'NKE': { base: 105.25, name: 'Nike Inc.', sector: 'Consumer Cyclical', dividend: { annual: 1.60, frequency: 4, exDate: '2025-09-02', payDate: '2025-10-01' } },
+            'NIKE': { base: 105.25, name: 'Nike Inc.', sector: 'Consumer Cyclical', dividend: { annual: 1.60, frequency: 4, exDate: '2025-09-02', payDate: '2025-10-01' } },
             
             // Fintech/Crypto
             'COIN': { base: 185.40, name: 'Coinbase Global Inc.', sector: 'Financial' },
@@ -457,8 +1226,8 @@ class StockPriceCalculator {
             
             // Mining & Resources
             'CCJ': { base: 78.11, name: 'Cameco Corporation', sector: 'Energy' },
-            'FCX': { base: 42.30, name: 'Freeport-McMoRan Inc.', sector: 'Basic Materials' },
-            'NEM': { base: 38.75, name: 'Newmont Corporation', sector: 'Basic Materials' }
+            'FCX': { base: 42.30, name: 'Freeport-McMoRan Inc.', sector: 'Basic Materials', dividend: { annual: 0.60, frequency: 4, exDate: '2025-10-15', payDate: '2025-11-01' } },
+            'NEM': { base: 38.75, name: 'Newmont Corporation', sector: 'Basic Materials', dividend: { annual: 1.00, frequency: 4, exDate: '2025-09-05', payDate: '2025-09-29' } }
         };
         
         const tickerUpper = ticker.toUpperCase();
@@ -489,7 +1258,7 @@ class StockPriceCalculator {
             weekLow = basePrice * (1 - (Math.random() * yearlyVariation * 0.7 + 0.1));
         }
         
-        // Generate 30-day price history
+        // Generate 30-day price history (offline fallback - replaced by real bars when a live chart is available)
         const priceHistory = this.generatePriceHistory(basePrice, 30);
         
         // Calculate earnings info
@@ -501,7 +1270,7 @@ class StockPriceCalculator {
         
         // Generate volume
         const baseVolume = stockInfo && stockInfo.avgVolume ? 
-            parseFloat(stockInfo.avgVolume.replace('M', '')) * 1000000 : 
+            stockInfo.avgVolume : 
             Math.floor(Math.random() * 50000000) + 5000000;
         const todayVolume = baseVolume * (0.7 + Math.random() * 0.6); // ±30% from average
         
@@ -515,6 +1284,7 @@ class StockPriceCalculator {
             weekHigh52: weekHigh,
             weekLow52: weekLow,
             priceHistory: priceHistory,
+            historySource: 'synthetic',
             isKnownTicker: isKnownTicker,
             dataTimestamp: dataTimestamp,
             isLiveData: this.lastApiUpdate && (Date.now() - this.lastApiUpdate) < this.updateFrequency,
@@ -523,9 +1293,12 @@ class StockPriceCalculator {
             dayRangeLow: dayRange.low,
             dayRangeHigh: dayRange.high,
             volume: todayVolume,
-            marketCap: stockInfo ? stockInfo.marketCap : 'N/A',
+            avgVolume: baseVolume,
+            marketCap: stockInfo && stockInfo.marketCap ? stockInfo.marketCap : null,
             peRatio: stockInfo ? stockInfo.peRatio : null,
-            targetPrice: stockInfo ? stockInfo.targetPrice : null
+            targetPrice: stockInfo ? stockInfo.targetPrice : null,
+            dividend: stockInfo && stockInfo.dividend ? this.buildSeededDividend(stockInfo.dividend) : null,
+            splits: stockInfo && stockInfo.splits ? stockInfo.splits.map(split => ({ ...split, label: `${split.ratio}:1` })) : []
         };
         
         console.log(`Generated stock data for ${tickerUpper}:`, {
@@ -538,24 +1311,39 @@ class StockPriceCalculator {
     }
     
     /**
-     * Generate realistic price history for charts
+     * Generate synthetic OHLCV price history for charts
+     * Only used as the offline fallback when no live chart data is available
      */
-    generatePriceHistory(basePrice, days) {
+    generatePriceHistory(basePrice, points, intervalMinutes = 1440) {
         const history = [];
         let currentPrice = basePrice;
         
-        for (let i = days - 1; i >= 0; i--) {
+        // Scale the ±3% daily move and daily volume to the bar size
+        const maxChange = 0.06 * Math.sqrt(intervalMinutes / 1440);
+        const volumeScale = intervalMinutes < 1440 ? intervalMinutes / 390 : intervalMinutes / 1440;
+        
+        for (let i = points - 1; i >= 0; i--) {
             const date = new Date();
-            date.setDate(date.getDate() - i);
+            if (intervalMinutes >= 1440) {
+                date.setDate(date.getDate() - i * Math.round(intervalMinutes / 1440));
+            } else {
+                date.setTime(date.getTime() - i * intervalMinutes * 60000);
+            }
             
-            // Add realistic daily volatility
-            const dailyChange = (Math.random() - 0.5) * 0.06; // ±3% daily max
-            currentPrice = currentPrice * (1 + dailyChange);
+            // Add realistic volatility for the interval
+            const open = currentPrice;
+            const change = (Math.random() - 0.5) * maxChange;
+            currentPrice = currentPrice * (1 + change);
             
             history.push({
                 date: date.toISOString().split('T')[0],
+                timestamp: date.getTime(),
+                open: open,
+                high: Math.max(open, currentPrice) * (1 + Math.random() * 0.01),
+                low: Math.min(open, currentPrice) * (1 - Math.random() * 0.01),
+                close: currentPrice,
                 price: currentPrice,
-                volume: Math.floor(Math.random() * 50000000) + 5000000 // 5M-55M volume
+                volume: Math.floor((Math.random() * 50000000 + 5000000) * volumeScale) // 5M-55M daily volume
             });
         }
         
@@ -563,674 +1351,3439 @@ class StockPriceCalculator {
     }
     
     /**
-     * Create price history chart using Chart.js
+     * Extract chart.result[0] from a Yahoo quote response (direct or proxied)
      */
-    createPriceChart(priceHistory) {
-        console.log('Creating price chart with history:', priceHistory);
-        
-        const chartElement = document.getElementById('price-chart');
-        if (!chartElement) {
-            console.error('Chart canvas element not found!');
-            return;
-        }
-        
-        const ctx = chartElement.getContext('2d');
-        
-        // Destroy existing chart if it exists
-        if (this.priceChart) {
-            this.priceChart.destroy();
-        }
-        
-        const labels = priceHistory.map(item => {
-            const date = new Date(item.date);
-            return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-        });
-        
-        const prices = priceHistory.map(item => item.price);
-        
-        // Determine color based on overall trend
-        const firstPrice = prices[0];
-        const lastPrice = prices[prices.length - 1];
-        const isUpTrend = lastPrice > firstPrice;
-        
-        // Get current theme for colors
-        const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
-        const isDark = currentTheme === 'dark';
-        const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
-        const textColor = isDark ? '#cbd5e1' : '#374151';
+    extractYahooChartResult(quote) {
+        if (!quote || !quote.data) return null;
         
         try {
-        this.priceChart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: 'Price',
-                    data: prices,
-                    borderColor: isUpTrend ? '#10b981' : '#ef4444',
-                    backgroundColor: isUpTrend ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)',
-                    borderWidth: 2,
-                    fill: true,
-                    tension: 0.1,
-                    pointBackgroundColor: isUpTrend ? '#10b981' : '#ef4444',
-                    pointBorderColor: isDark ? '#1e293b' : '#ffffff',
-                    pointBorderWidth: 2,
-                    pointRadius: 3,
-                    pointHoverRadius: 5
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                interaction: {
-                    intersect: false,
-                    mode: 'index'
-                },
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        backgroundColor: isDark ? 'rgba(30, 41, 59, 0.9)' : 'rgba(0, 0, 0, 0.8)',
-                        titleColor: '#ffffff',
-                        bodyColor: '#ffffff',
-                        borderColor: isDark ? '#475569' : '#e5e7eb',
-                        borderWidth: 1,
-                        cornerRadius: 8,
-                        displayColors: false,
-                        callbacks: {
-                            label: function(context) {
-                                return `Price: ${new Intl.NumberFormat('en-US', {
-                                    style: 'currency',
-                                    currency: 'USD',
-                                    minimumFractionDigits: 2,
-                                    maximumFractionDigits: 2
-                                }).format(context.parsed.y)}`;
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    x: {
-                        display: true,
-                        title: {
-                            display: true,
-                            text: 'Date',
-                            color: textColor,
-                            font: {
-                                size: 12,
-                                weight: 'bold'
-                            }
-                        },
-                        grid: {
-                            color: gridColor
-                        },
-                        ticks: {
-                            maxTicksLimit: 8,
-                            color: textColor,
-                            font: {
-                                size: 11
-                            }
-                        }
-                    },
-                    y: {
-                        display: true,
-                        title: {
-                            display: true,
-                            text: 'Price ($)',
-                            color: textColor,
-                            font: {
-                                size: 12,
-                                weight: 'bold'
-                            }
-                        },
-                        grid: {
-                            color: gridColor
-                        },
-                        ticks: {
-                            color: textColor,
-                            callback: function(value) {
-                                return '$' + value.toFixed(2);
-                            },
-                            font: {
-                                size: 11
-                            }
-                        }
-                    }
-                }
+            let payload = quote.data;
+            if (quote.providerId === 'yahoo-proxy') {
+                payload = JSON.parse(payload.contents);
+            } else if (quote.providerId !== 'yahoo') {
+                return null;
             }
+            return payload.chart && payload.chart.result ? payload.chart.result[0] : null;
+        } catch (error) {
+            console.error('Error reading Yahoo chart payload:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Convert a Yahoo chart result (timestamps + indicators.quote arrays) into OHLCV bars.
+     * Yahoo's quote arrays are already split-adjusted; its adjclose array, when present, is
+     * kept on each bar for the dividend adjustment.
+     */
+    buildHistoryFromYahooChart(chartResult) {
+        const timestamps = chartResult && chartResult.timestamp;
+        const quote = chartResult && chartResult.indicators && chartResult.indicators.quote && chartResult.indicators.quote[0];
+        if (!timestamps || !quote) return [];
+        const adjclose = chartResult.indicators.adjclose && chartResult.indicators.adjclose[0]
+            ? chartResult.indicators.adjclose[0].adjclose || []
+            : [];
+        
+        const history = [];
+        timestamps.forEach((timestamp, i) => {
+            const close = quote.close[i];
+            // Yahoo leaves nulls for halted or not-yet-traded intervals
+            if (close === null || close === undefined) return;
+            
+            const open = quote.open[i] ?? close;
+            history.push({
+                date: new Date(timestamp * 1000).toISOString().split('T')[0],
+                timestamp: timestamp * 1000,
+                open: open,
+                high: quote.high[i] ?? Math.max(open, close),
+                low: quote.low[i] ?? Math.min(open, close),
+                close: close,
+                price: close,
+                volume: quote.volume[i] || 0,
+                ...(adjclose[i] > 0 ? { adjClose: adjclose[i] } : {})
+            });
         });
         
-        console.log('Price chart created successfully with theme support');
-    } catch (error) {
-        console.error('Error creating price chart:', error);
-    }
+        return history;
     }
     
     /**
-     * Initialize hybrid data system
+     * Populate chart, day range, volume, daily change and 52-week fields from a live Yahoo chart
+     * Returns false (leaving the synthetic values) when the payload has no usable bars
      */
-    initHybridData() {
-        // Try to get cached API update time
-        const cachedUpdate = localStorage.getItem('lastApiUpdate');
-        if (cachedUpdate) {
-            this.lastApiUpdate = parseInt(cachedUpdate);
+    applyYahooChartData(stockData, chartResult) {
+        const history = this.buildHistoryFromYahooChart(chartResult);
+        if (history.length === 0) return false;
+        
+        const details = this.getYahooQuoteDetails(chartResult, history);
+        
+        stockData.priceHistory = history.slice(-30);
+        stockData.dailyHistory = history;
+        stockData.historySource = 'live';
+        stockData.currentPrice = details.price;
+        
+        if (details.previousClose) {
+            stockData.dailyChange = details.price - details.previousClose;
+            stockData.dailyChangePercent = (stockData.dailyChange / details.previousClose) * 100;
         }
         
-        // Start background API refresh if enabled
-        if (this.isLiveDataEnabled) {
-            this.startDataRefresh();
+        stockData.dayRangeLow = details.dayLow;
+        stockData.dayRangeHigh = details.dayHigh;
+        stockData.volume = details.volume;
+        stockData.weekHigh52 = details.weekHigh52;
+        stockData.weekLow52 = details.weekLow52;
+        
+        // Payloads without an events block (e.g. from a cache) keep the seeded dividend
+        if (chartResult.events || !stockData.dividend) {
+            stockData.dividend = this.buildDividendFromYahooChart(chartResult, stockData.dividend);
         }
         
-        console.log('Hybrid data system initialized');
+        this.recordCorporateActions(stockData.ticker, chartResult);
+        this.apply52WeekRange(stockData);
+        
+        return true;
     }
     
     /**
-     * Start background data refresh
+     * Remember the splits, dividends and earnings dates a Yahoo chart reported for a ticker,
+     * merged with what earlier ranges returned
      */
-    startDataRefresh() {
-        // Clear existing interval
-        if (this.dataUpdateInterval) {
-            clearInterval(this.dataUpdateInterval);
-        }
-        
-        // Start periodic refresh
-        this.dataUpdateInterval = setInterval(() => {
-            this.refreshStockData();
-        }, this.updateFrequency);
-        
-        // Try immediate refresh
-        setTimeout(() => this.refreshStockData(), 2000);
+    recordCorporateActions(ticker, chartResult) {
+        const events = chartResult && chartResult.events;
+        if (!ticker || !events) return;
+        
+        const toDate = (seconds) => new Date(seconds * 1000).toISOString().split('T')[0];
+        const existing = this.corporateActions[ticker] || { splits: [], dividends: [], earnings: [] };
+        const merge = (list, additions) => {
+            const byDate = new Map(list.map(action => [action.date, action]));
+            additions.forEach(action => byDate.set(action.date, action));
+            return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+        };
         
-        console.log('Background data refresh started');
+        this.corporateActions[ticker] = {
+            splits: merge(existing.splits, Object.values(events.splits || {})
+                .filter(split => split.numerator > 0 && split.denominator > 0)
+                .map(split => ({
+                    date: toDate(split.date),
+                    ratio: split.numerator / split.denominator,
+                    label: split.splitRatio || `${split.numerator}:${split.denominator}`
+                }))),
+            dividends: merge(existing.dividends, Object.values(events.dividends || {})
+                .filter(dividend => dividend.amount > 0)
+                .map(dividend => ({ date: toDate(dividend.date), amount: dividend.amount }))),
+            earnings: merge(existing.earnings, Object.values(events.earnings || {})
+                .map(earnings => ({ date: toDate(earnings.date) })))
+        };
     }
     
     /**
-     * Stop background data refresh
+     * Corporate actions for a ticker: Yahoo's events when a live chart supplied them, otherwise
+     * the seeded splits and dividends. Without reported earnings dates, past quarters are
+     * estimated back from the next earnings date.
      */
-    stopDataRefresh() {
-        if (this.dataUpdateInterval) {
-            clearInterval(this.dataUpdateInterval);
-            this.dataUpdateInterval = null;
+    getCorporateActions(ticker, stockData = this.currentStockData) {
+        const live = this.corporateActions[ticker];
+        const seeded = stockData && stockData.ticker === ticker ? stockData : null;
+        const actions = {
+            splits: live ? live.splits : (seeded ? seeded.splits || [] : []),
+            dividends: live ? live.dividends : (seeded && seeded.dividend ? seeded.dividend.history : []),
+            earnings: live && live.earnings.length ? live.earnings : []
+        };
+        
+        if (actions.earnings.length === 0 && seeded && seeded.earningsDate) {
+            const today = this.formatDateKey(this.now());
+            const date = new Date(seeded.earningsDate);
+            for (let quarter = 0; quarter < 24; quarter++) {
+                const key = date.toISOString().split('T')[0];
+                if (key < today) actions.earnings.unshift({ date: key, estimated: true });
+                date.setUTCDate(date.getUTCDate() - 91);
+            }
         }
-        console.log('Background data refresh stopped');
+        return actions;
     }
     
     /**
-     * Refresh stock data from API
+     * Back-adjust a split-adjusted series for dividends. Bars carrying Yahoo's adjclose are scaled
+     * by adjclose / close; otherwise, walking from the latest bar backwards, bars before an
+     * ex-dividend date are scaled by (1 - dividend / previous close). Returns new bars.
      */
-    async refreshStockData() {
-        // Only refresh if we have a current stock
-        if (!this.currentStock) return;
+    adjustHistory(history, actions) {
+        if (!history || history.length < 2) return history;
+        
+        if (history.every(bar => bar.adjClose > 0)) {
+            return history.map(bar => {
+                const factor = bar.adjClose / bar.close;
+                const adjusted = { ...bar };
+                ['open', 'high', 'low', 'close', 'price'].forEach(field => { adjusted[field] = bar[field] * factor; });
+                return adjusted;
+            });
+        }
+        if (actions.dividends.length === 0) return history;
         
-        try {
-            console.log(`Attempting to refresh data for ${this.currentStock}...`);
+        const adjusted = history.map(bar => ({ ...bar }));
+        let priceFactor = 1;
+        
+        for (let i = adjusted.length - 1; i > 0; i--) {
+            const bar = history[i];
+            const previous = history[i - 1];
+            const within = (action) => action.date > previous.date && action.date <= bar.date;
             
-            // Try to fetch fresh data (reuse existing API logic)
-            const data = await fetch(`https://api.allorigins.win/get?url=${encodeURIComponent(`https://query1.finance.yahoo.com/v8/finance/chart/${this.currentStock}`)}`, {
-                method: 'GET',
-                timeout: 5000
+            // Yahoo reports dividends per post-split share, matching the split-adjusted closes
+            actions.dividends.filter(within).forEach(dividend => {
+                if (previous.close > dividend.amount) {
+                    priceFactor *= 1 - dividend.amount / previous.close;
+                }
             });
             
-            if (data.ok) {
-                const jsonData = await data.json();
-                const price = await this.parseProxiedYahooData(jsonData, this.currentStock);
-                
-                if (price && price > 0) {
-                    // Update with fresh API data
-                    this.updateWithFreshData(price);
-                    this.lastApiUpdate = Date.now();
-                    localStorage.setItem('lastApiUpdate', this.lastApiUpdate.toString());
-                    console.log(`✅ Fresh data updated: ${this.currentStock} = $${price}`);
-                } else {
-                    throw new Error('Invalid price data');
-                }
-            } else {
-                throw new Error('API request failed');
-            }
-        } catch (error) {
-            console.log(`⚠️  API refresh failed: ${error.message} - using static data`);
-            // Continue with static data - no action needed
+            if (priceFactor === 1) continue;
+            const target = adjusted[i - 1];
+            ['open', 'high', 'low', 'close', 'price'].forEach(field => { target[field] = previous[field] * priceFactor; });
         }
+        return adjusted;
     }
     
     /**
-     * Update display with fresh API data
+     * Undo the split adjustment Yahoo applies to its bars, giving the prices and volumes that
+     * actually traded: bars before a split are multiplied by its ratio, volumes divided by it
      */
-    updateWithFreshData(newPrice) {
-        if (this.currentStockData) {
-            // Calculate new daily change
-            const basePrice = this.currentStockData.currentPrice - this.currentStockData.dailyChange;
+    unadjustSplits(history, actions) {
+        if (!history || history.length < 2 || actions.splits.length === 0) return history;
+        
+        const raw = history.map(bar => ({ ...bar }));
+        let factor = 1;
+        
+        for (let i = raw.length - 1; i > 0; i--) {
+            const bar = history[i];
+            const previous = history[i - 1];
+            actions.splits
+                .filter(split => split.date > previous.date && split.date <= bar.date)
+                .forEach(split => { factor *= split.ratio; });
             
-            // Update current data
-            this.currentStockData.currentPrice = newPrice;
-            this.currentStockData.dailyChange = newPrice - basePrice;
-            this.currentStockData.dailyChangePercent = ((newPrice - basePrice) / basePrice) * 100;
-            this.currentStockData.isLiveData = true;
-            
-            // Update display
-            this.displayStockData(this.currentStock, this.currentStockData);
-            
-            // Update stored price
-            this.currentPrice = newPrice;
+            if (factor === 1) continue;
+            const target = raw[i - 1];
+            ['open', 'high', 'low', 'close', 'price'].forEach(field => { target[field] = previous[field] * factor; });
+            if (previous.adjClose) target.adjClose = previous.adjClose * factor;
+            target.volume = Math.round(previous.volume / factor);
         }
+        return raw;
     }
     
     /**
-     * Get current Eastern Time
+     * Series shown on the chart: live bars arrive split-adjusted from Yahoo, so the adjusted view
+     * adds the dividend adjustment and the raw view undoes the splits. Synthetic series are
+     * generated continuous, so they are shown as they are.
      */
-    getEasternTime() {
-        const now = new Date();
-        return new Date(now.toLocaleString("en-US", {timeZone: this.marketConfig.timezone}));
+    getDisplayHistory(history, source, ticker = this.currentStock) {
+        if (source !== 'live') return history;
+        const actions = this.getCorporateActions(ticker);
+        return this.priceAdjustment === 'raw'
+            ? this.unadjustSplits(history, actions)
+            : this.adjustHistory(history, actions);
     }
     
     /**
-     * Check if current time is during market hours
+     * 52-week high/low from the same (adjusted or raw) daily series the chart shows
      */
-    isMarketOpen() {
-        const et = this.getEasternTime();
-        const day = et.getDay(); // 0 = Sunday, 6 = Saturday
-        
-        // Weekend check
-        if (day === 0 || day === 6) {
-            return false;
-        }
+    apply52WeekRange(stockData) {
+        if (!stockData.dailyHistory || stockData.historySource !== 'live') return;
         
-        // Time check
-        const currentMinutes = et.getHours() * 60 + et.getMinutes();
-        const openMinutes = this.marketConfig.openHour * 60 + this.marketConfig.openMinute;
-        const closeMinutes = this.marketConfig.closeHour * 60 + this.marketConfig.closeMinute;
+        const yearAgo = this.now().getTime() - 365 * 24 * 60 * 60 * 1000;
+        const lastYear = this.getDisplayHistory(stockData.dailyHistory, 'live', stockData.ticker)
+            .filter(bar => bar.timestamp >= yearAgo);
+        if (lastYear.length === 0) return;
         
-        return currentMinutes >= openMinutes && currentMinutes < closeMinutes;
+        stockData.weekHigh52 = Math.max(...lastYear.map(bar => bar.high));
+        stockData.weekLow52 = Math.min(...lastYear.map(bar => bar.low));
     }
     
-    /**
-     * Get market status with details
-     */
-    getMarketStatus() {
-        const et = this.getEasternTime();
-        const day = et.getDay();
-        const currentMinutes = et.getHours() * 60 + et.getMinutes();
-        const openMinutes = this.marketConfig.openHour * 60 + this.marketConfig.openMinute;
-        const closeMinutes = this.marketConfig.closeHour * 60 + this.marketConfig.closeMinute;
+    setPriceAdjustment(mode) {
+        if (mode !== 'adjusted' && mode !== 'raw') return;
         
-        // Weekend
-        if (day === 0 || day === 6) {
-            return {
-                status: 'closed',
-                description: 'Market Closed - Weekend',
-                nextEvent: this.getNextMarketOpen(),
-                color: '#ff6b6b'
-            };
-        }
+        this.priceAdjustment = mode;
+        localStorage.setItem(this.priceAdjustmentKey, mode);
+        this.updatePriceAdjustmentButtons();
         
-        // Weekday market hours logic
-        if (currentMinutes < openMinutes) {
-            const preMarketStart = 4 * 60; // 4:00 AM ET
-            if (currentMinutes >= preMarketStart) {
-                return {
-                    status: 'pre-market',
-                    description: 'Pre-Market Trading',
-                    nextEvent: `Market opens at ${this.formatTime(openMinutes)}`,
-                    color: '#ffa726'
-                };
-            } else {
-                return {
-                    status: 'closed',
-                    description: 'Market Closed',
-                    nextEvent: `Pre-market starts at ${this.formatTime(preMarketStart)}`,
-                    color: '#ff6b6b'
-                };
-            }
-        } else if (currentMinutes < closeMinutes) {
-            return {
-                status: 'open',
-                description: 'Market Open',
-                nextEvent: `Market closes at ${this.formatTime(closeMinutes)}`,
-                color: '#4caf50'
-            };
-        } else {
-            const afterHoursEnd = 20 * 60; // 8:00 PM ET
-            if (currentMinutes < afterHoursEnd) {
-                return {
-                    status: 'after-hours',
-                    description: 'After-Hours Trading',
-                    nextEvent: `After-hours ends at ${this.formatTime(afterHoursEnd)}`,
-                    color: '#ff9800'
-                };
-            } else {
-                return {
-                    status: 'closed',
-                    description: 'Market Closed',
-                    nextEvent: this.getNextMarketOpen(),
-                    color: '#ff6b6b'
-                };
-            }
+        if (this.currentStockData) {
+            this.apply52WeekRange(this.currentStockData);
+            this.displayStockData(this.currentStock, this.currentStockData);
         }
     }
     
+    updatePriceAdjustmentButtons() {
+        document.querySelectorAll('#price-adjustment-selector button[data-adjustment]').forEach(button => {
+            const isActive = button.dataset.adjustment === this.priceAdjustment;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+    }
+    
     /**
-     * Get next market open time
+     * Dividend summary from the chart's events.dividends (keyed by ex-date timestamp): the
+     * trailing-year total, payments per year and the latest ex-date. The chart endpoint has no
+     * pay dates, so the seeded ex-to-pay lag is applied when one is known.
      */
-    getNextMarketOpen() {
-        const et = this.getEasternTime();
-        const day = et.getDay();
-        let daysToAdd = 1;
-        
-        // If it's Friday after hours or weekend, next open is Monday
-        if (day === 5 && et.getHours() >= this.marketConfig.closeHour) {
-            daysToAdd = 3; // Friday -> Monday
-        } else if (day === 6) {
-            daysToAdd = 2; // Saturday -> Monday
-        } else if (day === 0) {
-            daysToAdd = 1; // Sunday -> Monday
+    buildDividendFromYahooChart(chartResult, seeded = null) {
+        const events = chartResult && chartResult.events && chartResult.events.dividends;
+        if (!events) return null;
+        
+        const history = Object.values(events)
+            .map(event => ({ date: new Date(event.date * 1000).toISOString().split('T')[0], amount: event.amount }))
+            .filter(event => event.amount > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (history.length === 0) return null;
+        
+        const latest = history[history.length - 1];
+        const yearBefore = new Date(latest.date);
+        yearBefore.setUTCDate(yearBefore.getUTCDate() - 360); // a few days short of a year so last year's same payment drops out
+        const trailing = history.filter(event => new Date(event.date) > yearBefore);
+        
+        let payDate = null;
+        if (seeded && seeded.payDate) {
+            const date = new Date(latest.date);
+            date.setUTCDate(date.getUTCDate() + Math.round((new Date(seeded.payDate) - new Date(seeded.exDate)) / (24 * 60 * 60 * 1000)));
+            payDate = date.toISOString().split('T')[0];
         }
         
-        const nextOpen = new Date(et);
-        nextOpen.setDate(nextOpen.getDate() + daysToAdd);
-        nextOpen.setHours(this.marketConfig.openHour, this.marketConfig.openMinute, 0, 0);
-        
-        return `Next open: ${nextOpen.toLocaleDateString()} at ${this.formatTime(this.marketConfig.openHour * 60 + this.marketConfig.openMinute)}`;
+        return {
+            annual: trailing.reduce((sum, event) => sum + event.amount, 0),
+            frequency: trailing.length,
+            exDate: latest.date,
+            payDate,
+            history,
+            source: 'live'
+        };
     }
     
     /**
-     * Format minutes to time string
+     * Offline dividend from the demo database, with the past year's payments spread evenly
+     * back from the last ex-date
      */
-    formatTime(minutes) {
-        const hours = Math.floor(minutes / 60);
-        const mins = minutes % 60;
-        const period = hours >= 12 ? 'PM' : 'AM';
-        const displayHours = hours > 12 ? hours - 12 : (hours === 0 ? 12 : hours);
-        return `${displayHours}:${mins.toString().padStart(2, '0')} ${period} ET`;
-    }
+    buildSeededDividend({ annual, frequency, exDate, payDate }) {
+        const history = [];
+        for (let i = frequency - 1; i >= 0; i--) {
+            const date = new Date(exDate);
+            date.setUTCMonth(date.getUTCMonth() - i * 12 / frequency);
+            history.push({ date: date.toISOString().split('T')[0], amount: annual / frequency });
+        }
+        return { annual, frequency, exDate, payDate, history, source: 'seeded' };
+    }
     
     /**
-     * Update market status display
+     * Next ex-dividend and pay dates: the reported ones while still ahead, otherwise rolled
+     * forward by the payment interval and flagged as estimates
      */
-    updateMarketStatus() {
-        const status = this.getMarketStatus();
-        const statusDot = document.getElementById('market-status-dot');
-        const statusText = document.getElementById('market-status-text');
-        const nextEvent = document.getElementById('market-next-event');
-        
-        if (statusDot && statusText && nextEvent) {
-            // Update status dot color and animation
-            statusDot.className = `status-dot ${status.status}`;
-            statusDot.style.background = status.color;
-            
-            // Update text content
-            statusText.textContent = status.description;
-            nextEvent.textContent = status.nextEvent;
-            
-            console.log('Market status updated:', status);
+    getUpcomingDividendDates(dividend) {
+        const today = new Date(this.formatDateKey(this.now()));
+        const exDate = new Date(dividend.exDate);
+        const payDate = dividend.payDate ? new Date(dividend.payDate) : null;
+        const latest = payDate || exDate;
+        let estimated = false;
+        
+        // Step in whole days: live frequencies count trailing payments and can exceed 12 a year
+        const days = Math.max(1, Math.round(365 / Math.max(1, dividend.frequency)));
+        for (let steps = 0; latest < today && steps < 5000; steps++) {
+            exDate.setUTCDate(exDate.getUTCDate() + days);
+            if (payDate) payDate.setUTCDate(payDate.getUTCDate() + days);
+            estimated = true;
         }
+        return { exDate, payDate, estimated };
     }
     
     /**
-     * Update data indicator to show data freshness
+     * Trailing annual dividend as a percent of the current price (0 without a dividend)
      */
-    updateDataIndicator(isLiveData = false) {
-        const dataStatus = document.getElementById('data-status');
-        const lastUpdated = document.getElementById('last-updated');
+    getDividendYield(stockData = this.currentStockData, price = this.currentPrice) {
+        const dividend = stockData && stockData.dividend;
+        return dividend && price > 0 ? (dividend.annual / price) * 100 : 0;
+    }
+    
+    /**
+     * Quote fields (previous close, day range, volume, 52-week range) from a Yahoo chart result
+     */
+    getYahooQuoteDetails(chartResult, history = this.buildHistoryFromYahooChart(chartResult)) {
+        if (!chartResult || history.length === 0) return {};
         
-        console.log('updateDataIndicator called:', { 
-            isLiveData, 
-            dataStatusExists: !!dataStatus, 
-            lastUpdatedExists: !!lastUpdated,
-            currentLastUpdatedValue: lastUpdated?.textContent 
+        const meta = chartResult.meta || {};
+        const lastBar = history[history.length - 1];
+        const previousBar = history.length > 1 ? history[history.length - 2] : null;
+        const recentVolumes = history.slice(-31, -1).map(bar => bar.volume).filter(Boolean);
+        
+        // Prefer Yahoo's own 52-week fields, otherwise derive them from the year of daily bars
+        const yearAgo = this.now().getTime() - 365 * 24 * 60 * 60 * 1000;
+        const lastYear = history.filter(bar => bar.timestamp >= yearAgo);
+        
+        return {
+            price: meta.regularMarketPrice || lastBar.close,
+            previousClose: meta.previousClose || (previousBar ? previousBar.close : meta.chartPreviousClose),
+            open: lastBar.open,
+            dayHigh: meta.regularMarketDayHigh || lastBar.high,
+            dayLow: meta.regularMarketDayLow || lastBar.low,
+            volume: meta.regularMarketVolume || lastBar.volume,
+            avgVolume: recentVolumes.length ? recentVolumes.reduce((sum, v) => sum + v, 0) / recentVolumes.length : null,
+            weekHigh52: meta.fiftyTwoWeekHigh || Math.max(...lastYear.map(bar => bar.high)),
+            weekLow52: meta.fiftyTwoWeekLow || Math.min(...lastYear.map(bar => bar.low))
+        };
+    }
+    
+    /**
+     * Trim a daily series to the window covered by a chart range
+     */
+    sliceHistoryForRange(history, rangeKey) {
+        const start = new Date();
+        if (rangeKey === 'YTD') {
+            start.setMonth(0, 1);
+            start.setHours(0, 0, 0, 0);
+        } else if (rangeKey === '1M') {
+            start.setMonth(start.getMonth() - 1);
+        } else if (rangeKey === '6M') {
+            start.setMonth(start.getMonth() - 6);
+        } else if (rangeKey === '1Y') {
+            start.setFullYear(start.getFullYear() - 1);
+        }
+        return history.filter(bar => (bar.timestamp || new Date(bar.date).getTime()) >= start.getTime());
+    }
+    
+    /**
+     * Seed the daily ranges from the year of bars that came with the live quote
+     */
+    seedHistoryCache(ticker, dailyHistory) {
+        if (!dailyHistory || dailyHistory.length === 0) return;
+        
+        this.historyCache[ticker] = {};
+        ['6M', 'YTD', '1Y'].forEach(rangeKey => {
+            this.historyCache[ticker][rangeKey] = {
+                history: this.sliceHistoryForRange(dailyHistory, rangeKey),
+                source: 'live',
+                fetchedAt: Date.now()
+            };
         });
+    }
+    
+    /**
+     * Get a cached series for a ticker and range if it is still fresh
+     * Intraday ranges expire after 5 minutes, daily and weekly ranges after an hour
+     */
+    getCachedHistory(ticker, rangeKey) {
+        const entry = this.historyCache[ticker] && this.historyCache[ticker][rangeKey];
+        if (!entry) return null;
         
-        if (dataStatus && lastUpdated) {
-            const now = new Date();
-            const timeString = now.toLocaleTimeString();
-            
-            // Ensure the element is visible with aggressive CSS
-            lastUpdated.style.display = 'inline-block';
-            lastUpdated.style.visibility = 'visible';
-            lastUpdated.style.opacity = '1';
-            lastUpdated.style.position = 'static';
-            lastUpdated.style.zIndex = '1';
-            lastUpdated.style.width = 'auto';
-            lastUpdated.style.height = 'auto';
+        const maxAge = this.chartRanges[rangeKey].intraday ? 5 * 60000 : 60 * 60000;
+        return Date.now() - entry.fetchedAt < maxAge ? entry : null;
+    }
+    
+    /**
+     * Fetch history for a chart range, trying the Yahoo providers in priority order
+     * and falling back to a synthetic series shaped like the requested range
+     */
+    async fetchHistory(ticker, rangeKey) {
+        const cached = this.getCachedHistory(ticker, rangeKey);
+        if (cached) return cached;
+        
+        const config = this.chartRanges[rangeKey];
+        let entry = null;
+        
+        for (const providerId of this.providerSettings.priority) {
+            const provider = this.quoteProviders[providerId];
+            if (!this.isProviderAvailable(providerId)) continue;
             
-            if (isLiveData) {
-                dataStatus.textContent = '🔴 Live Data';
-                dataStatus.className = 'data-status live';
-                lastUpdated.textContent = `Last Updated: ${timeString}`;
-                console.log('Set live data lastUpdated to:', `Last Updated: ${timeString}`);
-            } else {
-                dataStatus.textContent = '📊 Static Data';
-                dataStatus.className = 'data-status static';
-                lastUpdated.textContent = `Last Updated: ${timeString}`;
-                console.log('Set demo data lastUpdated to:', `Last Updated: ${timeString}`);
+            // Tickers served by the offline provider never hit the network
+            if (provider.offline) {
+                if (provider.supports(ticker)) break;
+                continue;
             }
+            if (!provider.buildHistoryUrl) continue;
             
-            // Force a repaint
-            lastUpdated.offsetHeight;
-            
-            console.log('Data indicator updated:', { 
-                isLiveData, 
-                time: timeString,
-                finalText: lastUpdated.textContent,
-                isVisible: lastUpdated.offsetParent !== null
-            });
-        } else {
-            console.error('updateDataIndicator: Missing elements', { dataStatus: !!dataStatus, lastUpdated: !!lastUpdated });
+            try {
+                this.recordProviderRequest(providerId);
+                const response = await this.fetchWithTimeout(provider.buildHistoryUrl(ticker, config.range, config.interval), provider.timeout);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                const data = await response.json();
+                const chartResult = this.extractYahooChartResult({ providerId, data });
+                const history = this.buildHistoryFromYahooChart(chartResult);
+                if (history.length === 0) throw new Error('No bars in chart response');
+                this.recordCorporateActions(ticker, chartResult);
+                
+                entry = { history, source: 'live', fetchedAt: Date.now() };
+                break;
+            } catch (error) {
+                console.log(`History fetch from ${provider.name} failed for ${ticker} ${rangeKey}: ${error.message}`);
+            }
+        }
+        
+        if (!entry) {
+            entry = { history: this.generateRangeHistory(ticker, rangeKey), source: 'synthetic', fetchedAt: Date.now() };
         }
+        
+        this.historyCache[ticker] = this.historyCache[ticker] || {};
+        this.historyCache[ticker][rangeKey] = entry;
+        return entry;
     }
     
     /**
-     * Create a backup last-updated element if the original is not working
+     * Synthetic series for a range, anchored at the loaded stock's previous close
      */
-    createBackupLastUpdatedElement(dataIndicator) {
-        console.log('Creating backup last-updated element');
-        
-        if (!dataIndicator) {
-            console.error('Data indicator container not found');
-            return;
+    generateRangeHistory(ticker, rangeKey) {
+        const config = this.chartRanges[rangeKey];
+        const stockData = this.currentStockData && this.currentStockData.ticker === ticker ? this.currentStockData : null;
+        const quote = this.quoteCache[ticker];
+        let basePrice;
+        if (stockData) {
+            basePrice = stockData.currentPrice - stockData.dailyChange;
+        } else if (quote) {
+            basePrice = quote.previousClose || quote.price;
+        } else {
+            basePrice = this.getEnhancedStockData(ticker).currentPrice;
         }
         
-        // Remove existing backup if any
-        const existingBackup = document.getElementById('last-updated-backup');
-        if (existingBackup) {
-            existingBackup.remove();
+        let points = config.points;
+        if (rangeKey === 'YTD') {
+            const startOfYear = new Date(new Date().getFullYear(), 0, 1);
+            points = Math.max(2, Math.ceil((Date.now() - startOfYear.getTime()) / (24 * 60 * 60 * 1000)));
         }
         
-        // Create new element
-        const backupElement = document.createElement('span');
-        backupElement.id = 'last-updated-backup';
-        backupElement.textContent = `Last Updated: ${new Date().toLocaleTimeString()}`;
-        
-        // Apply aggressive inline styles
-        backupElement.style.cssText = `
-            color: #6b7280 !important;
-            font-size: 0.85rem !important;
-            font-weight: 500 !important;
-            display: inline-block !important;
-            visibility: visible !important;
-            opacity: 1 !important;
-            position: static !important;
-            z-index: 999 !important;
-            background: rgba(255, 255, 255, 0.9) !important;
-            padding: 2px 6px !important;
-            border-radius: 4px !important;
-            border: 1px solid #e5e7eb !important;
-        `;
-        
-        // Append to data indicator
-        dataIndicator.appendChild(backupElement);
+        const history = this.generatePriceHistory(basePrice, points, config.intervalMinutes);
         
-        console.log('Backup element created and appended');
+        // Rescale the walk so it finishes at the displayed price instead of wherever it wandered
+        const scale = basePrice / history[history.length - 1].close;
+        history.forEach(bar => {
+            ['open', 'high', 'low', 'close', 'price'].forEach(field => { bar[field] *= scale; });
+        });
         
-        // Update the elements reference to use backup
-        this.elements.lastUpdated = backupElement;
+        return history;
     }
     
     /**
-     * Emergency test to prove JavaScript is working
+     * Switch the chart to a range, fetching and caching its history if needed
      */
-    addEmergencyTestElement() {
-        console.log('🚨 EMERGENCY TEST: Adding bright test element');
+    async loadChartRange(rangeKey) {
+        if (!this.chartRanges[rangeKey]) return;
         
-        // Remove existing test if any
-        const existingTest = document.getElementById('emergency-test');
-        if (existingTest) {
-            existingTest.remove();
-        }
+        this.selectedRange = rangeKey;
+        this.updateRangeButtons();
         
-        // Find the stock display area
-        const stockDisplay = document.getElementById('stock-display');
-        if (!stockDisplay) {
-            console.error('Stock display not found!');
+        const stockData = this.currentStockData;
+        if (!stockData) return;
+        
+        if (rangeKey === this.defaultChartRange && !this.getCachedHistory(stockData.ticker, rangeKey)) {
+            this.applyLatestPrice(stockData.priceHistory, stockData.currentPrice);
+            this.createPriceChart(this.getDisplayHistory(stockData.priceHistory, stockData.historySource, stockData.ticker));
+            this.updateChartTitle(stockData.historySource);
+            this.updateBenchmarkStats(stockData.historySource);
             return;
         }
         
-        // Create an unmissable bright element
-        const testElement = document.createElement('div');
-        testElement.id = 'emergency-test';
-        testElement.innerHTML = `
-            <div style="
-                background: #ff0000 !important;
-                color: #ffffff !important;
-                padding: 10px !important;
-                margin: 10px 0 !important;
-                border: 3px solid #000000 !important;
-                font-size: 16px !important;
-                font-weight: bold !important;
-                text-align: center !important;
-                display: block !important;
-                visibility: visible !important;
-                opacity: 1 !important;
-                position: relative !important;
-                z-index: 9999 !important;
-                width: 100% !important;
-                box-sizing: border-box !important;
-            ">
-                🚨 EMERGENCY TEST: JavaScript is working! 🚨<br>
-                Last Updated: ${new Date().toLocaleTimeString()}
-            </div>
-        `;
+        const ticker = stockData.ticker;
+        const entry = await this.fetchHistory(ticker, rangeKey);
         
-        // Add to the top of stock display
-        stockDisplay.insertBefore(testElement, stockDisplay.firstChild);
+        // Ignore responses that arrive after the user moved on to another ticker or range
+        if (!this.currentStockData || this.currentStockData.ticker !== ticker || this.selectedRange !== rangeKey) return;
         
-        console.log('🚨 Emergency test element added - should be BRIGHT RED and unmissable');
+        this.applyLatestPrice(entry.history, this.currentStockData.currentPrice);
+        this.createPriceChart(this.getDisplayHistory(entry.history, entry.source, ticker));
+        this.updateChartTitle(entry.source);
+        this.updateBenchmarkStats(entry.source);
     }
     
     /**
-     * Initialize market status with periodic updates
+     * Fold the latest quote into the last bar so the chart and indicators follow refresh ticks
      */
-    initMarketStatus() {
-        console.log('=== Initializing Market Status ===');
-        
-        // Test market status detection immediately
-        const testStatus = this.getMarketStatus();
-        console.log('Current market status:', testStatus);
-        console.log('Eastern Time:', this.getEasternTime());
-        console.log('Is market open?', this.isMarketOpen());
-        
-        // Update immediately
-        this.updateMarketStatus();
+    applyLatestPrice(history, price) {
+        if (!history || history.length === 0 || !price) return;
+        
+        const lastBar = history[history.length - 1];
+        if (lastBar.adjClose) lastBar.adjClose *= price / lastBar.close;
+        lastBar.close = price;
+        lastBar.price = price;
+        lastBar.high = Math.max(lastBar.high, price);
+        lastBar.low = Math.min(lastBar.low, price);
+    }
+    
+    /**
+     * Switch between line, area, candlestick and OHLC views and re-render the current series
+     */
+    setChartType(chartType) {
+        if (!this.chartTypes.includes(chartType)) return;
         
-        // Update every minute to keep status current
-        setInterval(() => {
-            this.updateMarketStatus();
-        }, 60000); // 1 minute
+        this.chartType = chartType;
+        localStorage.setItem(this.chartTypeKey, chartType);
+        this.updateChartTypeButtons();
         
-        console.log('Market status monitoring initialized');
+        if (this.currentPriceHistory) {
+            this.createPriceChart(this.currentPriceHistory);
+        }
+    }
+    
+    updateChartTypeButtons() {
+        document.querySelectorAll('#chart-type-selector button[data-chart-type]').forEach(button => {
+            const isActive = button.dataset.chartType === this.chartType;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
     }
     
     /**
-     * Initialize dark mode functionality
+     * Chart.js plugin that draws candlesticks or OHLC bars over the (invisible) close series
      */
-    initDarkMode() {
-        // Check for saved theme preference or default to light mode
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        this.setTheme(savedTheme);
+    createOhlcPlugin(priceHistory, chartType) {
+        return {
+            id: 'ohlcRenderer',
+            afterDatasetsDraw: (chart) => {
+                const { ctx, chartArea, scales } = chart;
+                const slotWidth = chartArea.width / Math.max(priceHistory.length, 1);
+                const bodyWidth = Math.max(1, Math.min(12, slotWidth * 0.7));
+                
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+                ctx.clip();
+                
+                priceHistory.forEach((bar, index) => {
+                    const x = scales.x.getPixelForValue(index);
+                    const openY = scales.y.getPixelForValue(bar.open);
+                    const closeY = scales.y.getPixelForValue(bar.close);
+                    const highY = scales.y.getPixelForValue(bar.high);
+                    const lowY = scales.y.getPixelForValue(bar.low);
+                    const color = bar.close >= bar.open ? '#10b981' : '#ef4444';
+                    
+                    ctx.strokeStyle = color;
+                    ctx.fillStyle = color;
+                    ctx.lineWidth = 1;
+                    
+                    // High-low wick / bar
+                    ctx.beginPath();
+                    ctx.moveTo(x, highY);
+                    ctx.lineTo(x, lowY);
+                    ctx.stroke();
+                    
+                    if (chartType === 'candlestick') {
+                        const top = Math.min(openY, closeY);
+                        const height = Math.max(1, Math.abs(closeY - openY));
+                        ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, height);
+                    } else {
+                        // OHLC: open tick on the left, close tick on the right
+                        ctx.beginPath();
+                        ctx.moveTo(x - bodyWidth / 2, openY);
+                        ctx.lineTo(x, openY);
+                        ctx.moveTo(x, closeY);
+                        ctx.lineTo(x + bodyWidth / 2, closeY);
+                        ctx.stroke();
+                    }
+                });
+                
+                ctx.restore();
+            }
+        };
+    }
+    
+    /**
+     * Draw the trade planner's entry, stop-loss and take-profit levels as horizontal lines;
+     * reads this.tradePlan on every update so the planner only needs to call chart.update()
+     */
+    createTradeLevelsPlugin() {
+        const getLevels = () => {
+            const plan = this.tradePlan;
+            if (!plan || !plan.showOnChart || plan.symbol !== this.currentStock) return [];
+            return [
+                { key: 'trade.entry', price: plan.entry, color: '#667eea' },
+                { key: 'trade.stop', price: plan.stop, color: '#ef4444' },
+                { key: 'trade.target', price: plan.target, color: '#10b981' }
+            ];
+        };
         
-        // Add event listener to dark mode toggle
-        const darkModeToggle = document.getElementById('dark-mode-toggle');
-        if (darkModeToggle) {
-            darkModeToggle.addEventListener('click', () => {
-                this.toggleDarkMode();
-            });
-            console.log('Dark mode toggle initialized successfully');
-        } else {
-            console.error('Dark mode toggle button not found');
-        }
+        return {
+            id: 'tradeLevels',
+            // Keep levels outside the price range visible
+            afterDataLimits: (chart, args) => {
+                if (args.scale.id !== 'y') return;
+                getLevels().forEach(level => {
+                    args.scale.min = Math.min(args.scale.min, level.price);
+                    args.scale.max = Math.max(args.scale.max, level.price);
+                });
+            },
+            afterDatasetsDraw: (chart) => {
+                const levels = getLevels();
+                if (levels.length === 0) return;
+                
+                const { ctx, chartArea, scales } = chart;
+                const currency = this.getExchange().currency;
+                ctx.save();
+                ctx.font = '11px Inter, sans-serif';
+                ctx.textAlign = 'right';
+                ctx.textBaseline = 'bottom';
+                
+                levels.forEach(level => {
+                    const y = scales.y.getPixelForValue(level.price);
+                    ctx.strokeStyle = level.color;
+                    ctx.fillStyle = level.color;
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([6, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(chartArea.left, y);
+                    ctx.lineTo(chartArea.right, y);
+                    ctx.stroke();
+                    ctx.fillText(`${this.t(level.key)} ${this.formatCurrency(level.price, currency)}`, chartArea.right - 4, y - 2);
+                });
+                
+                ctx.restore();
+            }
+        };
     }
     
     /**
-     * Toggle between light and dark modes
+     * Splits, dividends and earnings dates inside the plotted series, keyed by the index of the
+     * first bar on or after each date
      */
-    toggleDarkMode() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        this.setTheme(newTheme);
+    getChartMarkers(priceHistory) {
+        const markers = new Map();
+        if (!priceHistory || priceHistory.length === 0 || !this.currentStock) return markers;
+        
+        const actions = this.getCorporateActions(this.currentStock);
+        const currency = this.getExchange().currency;
+        const first = priceHistory[0].date;
+        const last = priceHistory[priceHistory.length - 1].date;
+        const add = (date, marker) => {
+            if (date < first || date > last) return;
+            const index = priceHistory.findIndex(bar => bar.date >= date);
+            markers.set(index, [...(markers.get(index) || []), marker]);
+        };
         
-        console.log(`Theme switched to: ${newTheme}`);
+        actions.splits.forEach(split => add(split.date, {
+            type: 'split', color: '#8b5cf6', symbol: this.t('chart.markerSplitShort'),
+            text: this.t('chart.markerSplit', { ratio: split.label })
+        }));
+        actions.dividends.forEach(dividend => add(dividend.date, {
+            type: 'dividend', color: '#10b981', symbol: this.t('chart.markerDividendShort'),
+            text: this.t('chart.markerDividend', { amount: this.formatCurrency(dividend.amount, currency) })
+        }));
+        actions.earnings.forEach(earnings => add(earnings.date, {
+            type: 'earnings', color: '#f59e0b', symbol: this.t('chart.markerEarningsShort'),
+            text: this.t(earnings.estimated ? 'chart.markerEarningsEstimated' : 'chart.markerEarnings')
+        }));
+        return markers;
     }
-
-    // Earnings date utility methods
-    generateFutureEarningsDate() {
-        const today = new Date();
-        const randomDays = Math.floor(Math.random() * 90) + 14; // 14-104 days from now
-        const futureDate = new Date(today.getTime() + randomDays * 24 * 60 * 60 * 1000);
-        return futureDate.toISOString().split('T')[0]; // YYYY-MM-DD format
+    
+    /**
+     * Mark corporate actions with a dashed line and a lettered badge along the bottom of the chart
+     */
+    createCorporateActionsPlugin(markers) {
+        return {
+            id: 'corporateActions',
+            afterDatasetsDraw: (chart) => {
+                if (markers.size === 0) return;
+                
+                const { ctx, chartArea, scales } = chart;
+                const radius = 7;
+                ctx.save();
+                ctx.font = 'bold 9px Inter, sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                
+                markers.forEach((list, index) => {
+                    const x = scales.x.getPixelForValue(index);
+                    list.forEach((marker, stack) => {
+                        const y = chartArea.bottom - radius - 2 - stack * (radius * 2 + 2);
+                        
+                        ctx.strokeStyle = marker.color;
+                        ctx.globalAlpha = 0.35;
+                        ctx.setLineDash([2, 3]);
+                        ctx.beginPath();
+                        ctx.moveTo(x, chartArea.top);
+                        ctx.lineTo(x, y - radius);
+                        ctx.stroke();
+                        
+                        ctx.globalAlpha = 1;
+                        ctx.setLineDash([]);
+                        ctx.fillStyle = marker.color;
+                        ctx.beginPath();
+                        ctx.arc(x, y, radius, 0, Math.PI * 2);
+                        ctx.fill();
+                        ctx.fillStyle = '#ffffff';
+                        ctx.fillText(marker.symbol, x, y + 0.5);
+                    });
+                });
+                
+                ctx.restore();
+            }
+        };
     }
+    
+    /**
+     * Highlight the same bar in the other panel when hovering the price or volume chart
+     */
+    syncChartHover(sourceChart, elements) {
+        const targetChart = sourceChart === this.priceChart ? this.volumeChart : this.priceChart;
+        if (!targetChart || !targetChart.tooltip) return;
+        
+        const active = elements.length > 0 ? [{ datasetIndex: 0, index: elements[0].index }] : [];
+        targetChart.setActiveElements(active);
+        targetChart.tooltip.setActiveElements(targetChart === this.priceChart ? active : [], { x: 0, y: 0 });
+        targetChart.update('none');
+    }
+    
+    /**
+     * Create the volume histogram under the price panel, coloured by up/down bar
+     */
+    createVolumeChart(priceHistory, labels, isDark) {
+        const volumeElement = document.getElementById('volume-chart');
+        if (!volumeElement) return;
+        
+        if (this.volumeChart) {
+            this.volumeChart.destroy();
+        }
+        
+        const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDark ? '#cbd5e1' : '#374151';
+        const colors = priceHistory.map(bar => bar.close >= bar.open ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)');
+        
+        try {
+            this.volumeChart = new Chart(volumeElement.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: labels,
+                    datasets: [{
+                        label: this.t('chart.volume'),
+                        data: priceHistory.map(bar => bar.volume),
+                        backgroundColor: colors,
+                        hoverBackgroundColor: colors.map(color => color.replace('0.6)', '1)')),
+                        borderWidth: 0
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    interaction: {
+                        intersect: false,
+                        mode: 'index'
+                    },
+                    onHover: (event, elements, chart) => this.syncChartHover(chart, elements),
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: { enabled: false }
+                    },
+                    scales: {
+                        x: {
+                            display: true,
+                            grid: { display: false },
+                            ticks: { display: false }
+                        },
+                        y: {
+                            display: true,
+                            afterFit: (scale) => { scale.width = this.chartAxisWidth; },
+                            grid: { color: gridColor },
+                            ticks: {
+                                color: textColor,
+                                maxTicksLimit: 3,
+                                callback: (value) => value === 0 ? '0' : this.formatVolume(value),
+                                font: { size: 10 }
+                            }
+                        }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error creating volume chart:', error);
+        }
+    }
+    
+    /**
+     * Highlight the active range button
+     */
+    updateRangeButtons() {
+        document.querySelectorAll('#chart-range-selector button[data-range]').forEach(button => {
+            const isActive = button.dataset.range === this.selectedRange;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+    }
+    
+    /**
+     * Update the chart heading for the selected range and data source
+     */
+    updateChartTitle(source) {
+        const chartTitleEl = document.getElementById('chart-title');
+        if (!chartTitleEl) return;
+        
+        const title = this.t('chart.title', { range: this.t(`chartRange.${this.selectedRange}`) });
+        if (source !== 'live') {
+            chartTitleEl.textContent = this.t('chart.simulated', { title });
+        } else {
+            chartTitleEl.textContent = this.priceAdjustment === 'raw' ? this.t('chart.raw', { title }) : title;
+        }
+    }
+    
+    /**
+     * Create price history chart using Chart.js
+     */
+    createPriceChart(priceHistory) {
+        console.log('Creating price chart with history:', priceHistory);
+        
+        const chartElement = document.getElementById('price-chart');
+        if (!chartElement) {
+            console.error('Chart canvas element not found!');
+            return;
+        }
+        
+        const ctx = chartElement.getContext('2d');
+        
+        // Destroy existing chart if it exists
+        if (this.priceChart) {
+            this.priceChart.destroy();
+        }
+        
+        const rangeConfig = this.chartRanges[this.selectedRange];
+        const labels = priceHistory.map(item => {
+            const date = item.timestamp ? new Date(item.timestamp) : new Date(item.date);
+            if (this.selectedRange === '1D') {
+                return this.formatDate(date, { hour: 'numeric', minute: '2-digit' });
+            } else if (rangeConfig.intraday) {
+                return this.formatDate(date, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+            } else if (this.selectedRange === '5Y') {
+                return this.formatDate(date, { month: 'short', year: 'numeric' });
+            }
+            return this.formatDate(date, { month: 'short', day: 'numeric' });
+        });
+        
+        const prices = priceHistory.map(item => item.price);
+        this.currentPriceHistory = priceHistory;
+        
+        // Get current theme for colors
+        const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
+        const isDark = currentTheme === 'dark';
+        const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDark ? '#cbd5e1' : '#374151';
+        
+        // Compare mode plots every symbol as percent change, so price overlays and levels are left out
+        const compareSeries = this.compareSymbols.length > 0 ? this.getCompareSeries(priceHistory, isDark) : null;
+        const isCompare = compareSeries !== null;
+        this.renderCompareSummary(compareSeries);
+        
+        const overlayDatasets = isCompare ? compareSeries.slice(1).map(series => ({
+            label: series.symbol,
+            data: series.values,
+            borderColor: series.color,
+            backgroundColor: series.color,
+            borderWidth: 2,
+            fill: false,
+            tension: 0.1,
+            spanGaps: true,
+            pointRadius: 0,
+            pointHoverRadius: 4
+        })) : this.buildIndicatorOverlays(priceHistory);
+        const markers = this.getChartMarkers(priceHistory);
+        const isBarChart = !isCompare && (this.chartType === 'candlestick' || this.chartType === 'ohlc');
+        const currency = this.getExchange().currency;
+        const formatPrice = (value) => this.formatCurrency(value, currency);
+        const axisCurrency = this.displayCurrency || currency;
+        
+        // Determine color based on overall trend
+        const firstPrice = prices[0];
+        const lastPrice = prices[prices.length - 1];
+        const isUpTrend = lastPrice > firstPrice;
+        const trendColor = isUpTrend ? '#10b981' : '#ef4444';
+        const mainColor = isCompare ? compareSeries[0].color : trendColor;
+        
+        try {
+        this.priceChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: isCompare ? compareSeries[0].symbol : this.t('chart.price'),
+                    data: isCompare ? compareSeries[0].values : prices,
+                    borderColor: isBarChart ? 'transparent' : mainColor,
+                    backgroundColor: isCompare ? mainColor : (isUpTrend ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)'),
+                    borderWidth: 2,
+                    fill: !isCompare && this.chartType === 'area',
+                    showLine: !isBarChart,
+                    tension: 0.1,
+                    pointBackgroundColor: mainColor,
+                    pointBorderColor: isDark ? '#1e293b' : '#ffffff',
+                    pointBorderWidth: 2,
+                    pointRadius: isBarChart || isCompare || prices.length > 60 ? 0 : 3,
+                    pointHoverRadius: isBarChart ? 0 : 5
+                }, ...overlayDatasets]
+            },
+            plugins: [
+                ...(isBarChart ? [this.createOhlcPlugin(priceHistory, this.chartType)] : []),
+                ...(isCompare ? [] : [this.createTradeLevelsPlugin()]),
+                this.createCorporateActionsPlugin(markers)
+            ],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                onHover: (event, elements, chart) => this.syncChartHover(chart, elements),
+                plugins: {
+                    legend: {
+                        display: overlayDatasets.length > 0 || isCompare,
+                        labels: {
+                            color: textColor,
+                            boxWidth: 12,
+                            // The price series itself needs no legend entry unless it is one of the compared symbols
+                            filter: (item) => (isCompare || item.datasetIndex !== 0) && !item.text.startsWith('_')
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: isDark ? 'rgba(30, 41, 59, 0.9)' : 'rgba(0, 0, 0, 0.8)',
+                        filter: (item) => item.parsed.y !== null && !item.dataset.label.startsWith('_'),
+                        titleColor: '#ffffff',
+                        bodyColor: '#ffffff',
+                        borderColor: isDark ? '#475569' : '#e5e7eb',
+                        borderWidth: 1,
+                        cornerRadius: 8,
+                        displayColors: isCompare,
+                        callbacks: {
+                            label: (context) => {
+                                if (isCompare) {
+                                    const series = compareSeries[context.datasetIndex];
+                                    const close = series.closes[context.dataIndex];
+                                    return `${series.symbol}: ${this.formatPercent(context.parsed.y, { signed: true })} (${this.formatCurrency(close, series.currency)})`;
+                                }
+                                
+                                if (context.datasetIndex !== 0) {
+                                    return `${context.dataset.label}: ${formatPrice(context.parsed.y)}`;
+                                }
+                                
+                                const bar = priceHistory[context.dataIndex];
+                                return [
+                                    this.t('chart.tooltipOpen', { value: formatPrice(bar.open) }),
+                                    this.t('chart.tooltipHigh', { value: formatPrice(bar.high) }),
+                                    this.t('chart.tooltipLow', { value: formatPrice(bar.low) }),
+                                    this.t('chart.tooltipClose', { value: formatPrice(bar.close) }),
+                                    this.t('chart.tooltipVolume', { value: this.formatVolume(bar.volume) }),
+                                    ...(markers.get(context.dataIndex) || []).map(marker => marker.text)
+                                ];
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: rangeConfig.intraday ? this.t('chart.timeAxis') : this.t('chart.dateAxis'),
+                            color: textColor,
+                            font: {
+                                size: 12,
+                                weight: 'bold'
+                            }
+                        },
+                        grid: {
+                            color: gridColor
+                        },
+                        ticks: {
+                            maxTicksLimit: 8,
+                            color: textColor,
+                            font: {
+                                size: 11
+                            }
+                        }
+                    },
+                    y: {
+                        display: true,
+                        // Candles and OHLC bars need the full high/low span on the axis
+                        suggestedMin: isBarChart ? Math.min(...priceHistory.map(bar => bar.low)) : undefined,
+                        suggestedMax: isBarChart ? Math.max(...priceHistory.map(bar => bar.high)) : undefined,
+                        afterFit: (scale) => { scale.width = this.chartAxisWidth; },
+                        title: {
+                            display: true,
+                            text: isCompare ? this.t('compare.axis') : this.t('chart.priceAxis', { currency: axisCurrency }),
+                            color: textColor,
+                            font: {
+                                size: 12,
+                                weight: 'bold'
+                            }
+                        },
+                        grid: {
+                            color: gridColor
+                        },
+                        ticks: {
+                            color: textColor,
+                            callback: (value) => isCompare ? this.formatPercent(value, { digits: 1, signed: true }) : formatPrice(value),
+                            font: {
+                                size: 11
+                            }
+                        }
+                    }
+                }
+            }
+        });
+        
+        console.log('Price chart created successfully with theme support');
+    } catch (error) {
+        console.error('Error creating price chart:', error);
+    }
+        
+        this.createVolumeChart(priceHistory, labels, isDark);
+        this.createIndicatorPanels(priceHistory, labels, isDark);
+        
+        if (isCompare) {
+            this.loadCompareHistories();
+        }
+    }
+    
+    // Compare Mode
+    
+    loadCompareSymbols() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.compareSymbolsKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(symbol => typeof symbol === 'string').slice(0, this.maxCompareSymbols) : [];
+        } catch (error) {
+            console.error('Error loading compare symbols:', error);
+            return [];
+        }
+    }
+    
+    saveCompareSymbols() {
+        try {
+            localStorage.setItem(this.compareSymbolsKey, JSON.stringify(this.compareSymbols));
+        } catch (error) {
+            console.error('Error saving compare symbols:', error);
+        }
+    }
+    
+    /**
+     * Bind the compare form, the SPY/QQQ presets and the remove buttons on the symbol chips
+     */
+    initCompareMode() {
+        const form = document.getElementById('compare-form');
+        if (!form) return;
+        
+        const input = document.getElementById('compare-input');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addCompareSymbol(input.value);
+            input.value = '';
+        });
+        
+        form.addEventListener('click', (e) => {
+            const preset = e.target.closest('button[data-compare-preset]');
+            const remove = e.target.closest('button[data-compare-remove]');
+            if (preset) {
+                // Presets toggle so the ETFs can be switched on and off with one click
+                const symbol = preset.dataset.comparePreset;
+                if (this.compareSymbols.includes(symbol)) {
+                    this.removeCompareSymbol(symbol);
+                } else {
+                    this.addCompareSymbol(symbol);
+                }
+            } else if (remove) {
+                this.removeCompareSymbol(remove.dataset.compareRemove);
+            }
+        });
+        
+        document.getElementById('compare-clear').addEventListener('click', () => {
+            this.compareSymbols = [];
+            this.saveCompareSymbols();
+            this.refreshCompareChart();
+        });
+        
+        this.renderCompareChips();
+    }
+    
+    addCompareSymbol(ticker) {
+        const symbol = (ticker || '').trim().toUpperCase();
+        if (!symbol) return;
+        
+        if (!this.isValidSymbol(symbol)) {
+            this.showError(this.t('compare.invalid', { symbol }));
+            return;
+        }
+        if (symbol === this.currentStock) {
+            this.showError(this.t('compare.same', { symbol }));
+            return;
+        }
+        if (this.compareSymbols.includes(symbol)) {
+            this.showError(this.t('compare.duplicate', { symbol }));
+            return;
+        }
+        if (this.compareSymbols.length >= this.maxCompareSymbols) {
+            this.showError(this.t('compare.limit', { count: this.maxCompareSymbols }));
+            return;
+        }
+        
+        this.compareSymbols.push(symbol);
+        this.saveCompareSymbols();
+        this.refreshCompareChart();
+    }
+    
+    removeCompareSymbol(symbol) {
+        this.compareSymbols = this.compareSymbols.filter(s => s !== symbol);
+        this.saveCompareSymbols();
+        this.refreshCompareChart();
+    }
+    
+    refreshCompareChart() {
+        this.renderCompareChips();
+        if (this.currentPriceHistory) {
+            this.createPriceChart(this.currentPriceHistory);
+        }
+    }
+    
+    renderCompareChips() {
+        const chips = document.getElementById('compare-chips');
+        if (!chips) return;
+        
+        chips.innerHTML = this.compareSymbols.map(symbol => `
+            <span class="compare-chip">${symbol}<button type="button" data-compare-remove="${symbol}" aria-label="${this.t('compare.remove', { symbol })}">×</button></span>
+        `).join('');
+        document.getElementById('compare-clear').classList.toggle('hidden', this.compareSymbols.length === 0);
+        
+        document.querySelectorAll('#compare-form button[data-compare-preset]').forEach(button => {
+            const isActive = this.compareSymbols.includes(button.dataset.comparePreset);
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+    }
+    
+    /**
+     * Line colours for the loaded symbol (first) and each compared symbol, picked to read on either theme
+     */
+    getCompareColors(isDark) {
+        return isDark
+            ? ['#818cf8', '#fbbf24', '#22d3ee', '#f472b6', '#a3e635', '#fb923c']
+            : ['#4f46e5', '#d97706', '#0891b2', '#db2777', '#65a30d', '#ea580c'];
+    }
+    
+    /**
+     * Closes of another symbol matched to the chart's bars: the latest bar at or before each one
+     * (by day for daily and weekly ranges), so different sessions still share the x axis
+     */
+    alignHistoryCloses(history, priceHistory) {
+        const intraday = this.chartRanges[this.selectedRange].intraday;
+        const timeKey = (bar) => intraday ? bar.timestamp : Math.floor(bar.timestamp / (24 * 60 * 60 * 1000));
+        
+        let j = -1;
+        return priceHistory.map(bar => {
+            const key = timeKey(bar);
+            while (j + 1 < history.length && timeKey(history[j + 1]) <= key) j++;
+            return j >= 0 ? history[j].close : null;
+        });
+    }
+    
+    /**
+     * Percent-change series for the loaded symbol and every compared symbol whose history is cached
+     * for the selected range
+     */
+    getCompareSeries(priceHistory, isDark) {
+        const colors = this.getCompareColors(isDark);
+        
+        const buildSeries = (symbol, closes, color, simulated) => {
+            const known = closes.filter(close => close !== null);
+            const start = known[0];
+            const end = known[known.length - 1];
+            return {
+                symbol,
+                closes,
+                values: closes.map(close => close === null ? null : (close / start - 1) * 100),
+                start,
+                end,
+                totalReturn: known.length > 0 ? (end / start - 1) * 100 : null,
+                currency: this.getExchange(symbol).currency,
+                color,
+                simulated
+            };
+        };
+        
+        const series = [buildSeries(this.currentStock, priceHistory.map(bar => bar.close), colors[0], false)];
+        
+        this.compareSymbols.filter(symbol => symbol !== this.currentStock).forEach((symbol, i) => {
+            const entry = this.historyCache[symbol] && this.historyCache[symbol][this.selectedRange];
+            if (!entry) return;
+            
+            const history = this.getDisplayHistory(entry.history, entry.source, symbol);
+            const closes = this.alignHistoryCloses(history, priceHistory);
+            series.push(buildSeries(symbol, closes, colors[(i + 1) % colors.length], entry.source !== 'live'));
+        });
+        
+        return series;
+    }
+    
+    /**
+     * Fetch histories of compared symbols missing for the selected range, then redraw once they arrive
+     */
+    async loadCompareHistories() {
+        const rangeKey = this.selectedRange;
+        const missing = this.compareSymbols.filter(symbol =>
+            symbol !== this.currentStock &&
+            !this.getCachedHistory(symbol, rangeKey) &&
+            !this.compareRequests.has(`${symbol}|${rangeKey}`));
+        if (missing.length === 0) return;
+        
+        missing.forEach(symbol => this.compareRequests.add(`${symbol}|${rangeKey}`));
+        try {
+            await Promise.all(missing.map(symbol => this.fetchHistory(symbol, rangeKey)));
+        } finally {
+            missing.forEach(symbol => this.compareRequests.delete(`${symbol}|${rangeKey}`));
+        }
+        
+        // Skip the redraw if the range changed meanwhile; that render fetches its own histories
+        if (this.selectedRange !== rangeKey || !this.currentPriceHistory) return;
+        this.createPriceChart(this.currentPriceHistory);
+    }
+    
+    /**
+     * Total return per symbol over the charted range, below the price chart
+     */
+    renderCompareSummary(series) {
+        const summary = document.getElementById('compare-summary');
+        if (!summary) return;
+        
+        if (!series) {
+            summary.classList.add('hidden');
+            return;
+        }
+        
+        const pending = this.compareSymbols.filter(symbol =>
+            symbol !== this.currentStock && !series.some(s => s.symbol === symbol));
+        
+        document.getElementById('compare-rows').innerHTML = series.map(s => `
+            <tr>
+                <td><span class="compare-swatch" style="background: ${s.color}"></span>${s.symbol}${s.simulated ? ` <span class="compare-simulated">${this.t('compare.simulated')}</span>` : ''}</td>
+                <td>${s.start !== undefined ? this.formatCurrency(s.start, s.currency) : '—'}</td>
+                <td>${s.end !== undefined ? this.formatCurrency(s.end, s.currency) : '—'}</td>
+                <td class="${s.totalReturn >= 0 ? 'positive' : 'negative'}">${s.totalReturn !== null ? this.formatPercent(s.totalReturn, { signed: true }) : '—'}</td>
+            </tr>
+        `).join('') + pending.map(symbol => `
+            <tr>
+                <td>${symbol}</td>
+                <td colspan="3" class="portfolio-empty">${this.t('common.loading')}</td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('compare-caption').textContent = this.t('compare.caption', {
+            range: this.t(`chartRange.${this.selectedRange}`)
+        });
+        summary.classList.remove('hidden');
+    }
+    
+    // Benchmark Statistics
+    
+    loadBenchmarkSettings() {
+        const defaults = { benchmark: 'SPY', riskFree: 4.5 };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.benchmarkSettingsKey) || '{}');
+            if (this.benchmarkSymbols.includes(saved.benchmark)) defaults.benchmark = saved.benchmark;
+            if (Number.isFinite(saved.riskFree)) defaults.riskFree = saved.riskFree;
+        } catch (error) {
+            console.error('Error loading benchmark settings:', error);
+        }
+        
+        return defaults;
+    }
+    
+    saveBenchmarkSettings() {
+        try {
+            localStorage.setItem(this.benchmarkSettingsKey, JSON.stringify(this.benchmarkSettings));
+        } catch (error) {
+            console.error('Error saving benchmark settings:', error);
+        }
+    }
+    
+    initBenchmarkStats() {
+        const benchmarkSelect = document.getElementById('stats-benchmark');
+        const riskFreeInput = document.getElementById('stats-risk-free');
+        if (!benchmarkSelect || !riskFreeInput) return;
+        
+        benchmarkSelect.value = this.benchmarkSettings.benchmark;
+        riskFreeInput.value = this.benchmarkSettings.riskFree;
+        
+        benchmarkSelect.addEventListener('change', () => {
+            this.benchmarkSettings.benchmark = benchmarkSelect.value;
+            this.saveBenchmarkSettings();
+            this.updateBenchmarkStats();
+        });
+        
+        riskFreeInput.addEventListener('change', () => {
+            const value = parseFloat(riskFreeInput.value);
+            if (!Number.isFinite(value)) {
+                riskFreeInput.value = this.benchmarkSettings.riskFree;
+                return;
+            }
+            this.benchmarkSettings.riskFree = value;
+            this.saveBenchmarkSettings();
+            this.updateBenchmarkStats();
+        });
+    }
+    
+    /**
+     * Bars per year for annualizing returns of a chart range (regular sessions for intraday bars)
+     */
+    getPeriodsPerYear(rangeKey) {
+        const config = this.chartRanges[rangeKey];
+        if (config.intraday) {
+            return 252 * Math.round(390 / config.intervalMinutes);
+        }
+        return config.intervalMinutes >= 10080 ? 52 : 252;
+    }
+    
+    /**
+     * Simple period returns; null where either close is missing
+     */
+    calculateReturns(closes) {
+        return closes.slice(1).map((close, i) => {
+            const previous = closes[i];
+            return close === null || !previous ? null : close / previous - 1;
+        });
+    }
+    
+    /**
+     * Largest peak-to-trough decline of a close series, as a negative percent
+     */
+    calculateMaxDrawdown(closes) {
+        let peak = -Infinity;
+        let maxDrawdown = 0;
+        
+        closes.forEach(close => {
+            if (close === null) return;
+            peak = Math.max(peak, close);
+            maxDrawdown = Math.min(maxDrawdown, (close / peak - 1) * 100);
+        });
+        
+        return maxDrawdown;
+    }
+    
+    /**
+     * Total return, annualized volatility, max drawdown and Sharpe ratio of one close series
+     */
+    getSeriesRiskStats(closes, periodsPerYear, riskFreeRate) {
+        const returns = this.calculateReturns(closes).filter(r => r !== null);
+        const known = closes.filter(close => close !== null);
+        if (returns.length < 2) return null;
+        
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+        const volatility = Math.sqrt(variance * periodsPerYear);
+        
+        return {
+            totalReturn: (known[known.length - 1] / known[0] - 1) * 100,
+            volatility: volatility * 100,
+            maxDrawdown: this.calculateMaxDrawdown(closes),
+            sharpe: volatility > 0 ? (mean * periodsPerYear - riskFreeRate / 100) / volatility : null
+        };
+    }
+    
+    /**
+     * Beta, correlation and relative strength of the stock against the benchmark, from the returns
+     * of bars where both series have a close. Null when there are too few pairs to mean anything.
+     */
+    getBenchmarkStats(closes, benchmarkCloses, periodsPerYear, riskFreeRate) {
+        const benchmarkReturns = this.calculateReturns(benchmarkCloses);
+        const pairs = this.calculateReturns(closes)
+            .map((r, i) => [r, benchmarkReturns[i]])
+            .filter(([r, b]) => r !== null && b !== null);
+        
+        const stock = this.getSeriesRiskStats(closes, periodsPerYear, riskFreeRate);
+        const benchmark = this.getSeriesRiskStats(benchmarkCloses, periodsPerYear, riskFreeRate);
+        if (pairs.length < 5 || !stock || !benchmark) return null;
+        
+        const meanStock = pairs.reduce((sum, [r]) => sum + r, 0) / pairs.length;
+        const meanBenchmark = pairs.reduce((sum, [, b]) => sum + b, 0) / pairs.length;
+        let covariance = 0;
+        let stockVariance = 0;
+        let benchmarkVariance = 0;
+        pairs.forEach(([r, b]) => {
+            covariance += (r - meanStock) * (b - meanBenchmark);
+            stockVariance += (r - meanStock) ** 2;
+            benchmarkVariance += (b - meanBenchmark) ** 2;
+        });
+        
+        return {
+            observations: pairs.length,
+            beta: benchmarkVariance > 0 ? covariance / benchmarkVariance : null,
+            correlation: stockVariance > 0 && benchmarkVariance > 0 ? covariance / Math.sqrt(stockVariance * benchmarkVariance) : null,
+            relativeStrength: ((1 + stock.totalReturn / 100) / (1 + benchmark.totalReturn / 100) - 1) * 100,
+            stock,
+            benchmark
+        };
+    }
+    
+    /**
+     * Recompute the statistics card for the charted series; called whenever the chart range
+     * or ticker changes, with the source ('live' or 'synthetic') of the series on the chart
+     */
+    async updateBenchmarkStats(source = this.currentHistorySource) {
+        this.currentHistorySource = source;
+        
+        const stockData = this.currentStockData;
+        if (!document.getElementById('benchmark-stats') || !stockData || !this.currentPriceHistory) return;
+        
+        const { benchmark, riskFree } = this.benchmarkSettings;
+        const ticker = stockData.ticker;
+        const rangeKey = this.selectedRange;
+        const entry = await this.fetchHistory(benchmark, rangeKey);
+        
+        // Ignore results for a ticker, range or benchmark the user has already left
+        if (!this.currentStockData || this.currentStockData.ticker !== ticker || this.selectedRange !== rangeKey ||
+            this.benchmarkSettings.benchmark !== benchmark) return;
+        
+        const priceHistory = this.currentPriceHistory;
+        const benchmarkCloses = this.alignHistoryCloses(this.getDisplayHistory(entry.history, entry.source, benchmark), priceHistory);
+        const stats = this.getBenchmarkStats(priceHistory.map(bar => bar.close), benchmarkCloses, this.getPeriodsPerYear(rangeKey), riskFree);
+        
+        // Generated series only illustrate the math. Unknown tickers are made up unless a provider
+        // returned a live quote for them (isKnownTicker only says the demo database lacks them).
+        const simulated = [];
+        if ((stockData.isKnownTicker === false && !stockData.isLiveData) || source !== 'live') simulated.push(ticker);
+        if (entry.source !== 'live' && benchmark !== ticker) simulated.push(benchmark);
+        
+        this.renderBenchmarkStats(stats, { ticker, benchmark, riskFree, simulated });
+    }
+    
+    renderBenchmarkStats(stats, { ticker, benchmark, riskFree, simulated }) {
+        const rows = document.getElementById('stats-rows');
+        const caption = document.getElementById('stats-caption');
+        const disclaimer = document.getElementById('stats-disclaimer');
+        
+        document.getElementById('stats-symbol').textContent = ticker;
+        document.getElementById('stats-benchmark-symbol').textContent = benchmark;
+        
+        disclaimer.textContent = this.t('stats.synthetic', { symbols: simulated.join(', ') });
+        disclaimer.classList.toggle('hidden', simulated.length === 0);
+        
+        if (!stats) {
+            rows.innerHTML = `<tr><td colspan="3" class="portfolio-empty">${this.t('stats.notEnoughData')}</td></tr>`;
+            caption.textContent = '';
+            return;
+        }
+        
+        const number = (value) => value === null ? '—' : this.formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const percent = (value, signed = false) => value === null ? '—' : this.formatPercent(value, { signed });
+        const tone = (value) => value >= 0 ? 'positive' : 'negative';
+        
+        rows.innerHTML = [
+            ['stats.beta', number(stats.beta), '—'],
+            ['stats.correlation', number(stats.correlation), '—'],
+            ['stats.relativeStrength', percent(stats.relativeStrength, true), '—', tone(stats.relativeStrength)],
+            ['stats.totalReturn', percent(stats.stock.totalReturn, true), percent(stats.benchmark.totalReturn, true)],
+            ['stats.volatility', percent(stats.stock.volatility), percent(stats.benchmark.volatility)],
+            ['stats.maxDrawdown', percent(stats.stock.maxDrawdown), percent(stats.benchmark.maxDrawdown)],
+            ['stats.sharpe', number(stats.stock.sharpe), number(stats.benchmark.sharpe)]
+        ].map(([key, stockValue, benchmarkValue, className = '']) => `
+            <tr>
+                <td>${this.t(key)}</td>
+                <td class="${className}">${stockValue}</td>
+                <td>${benchmarkValue}</td>
+            </tr>
+        `).join('');
+        
+        caption.textContent = this.t('stats.caption', {
+            count: stats.observations,
+            range: this.t(`chartRange.${this.selectedRange}`),
+            riskFree: this.formatPercent(riskFree)
+        });
+    }
+    
+    /**
+     * Default indicator settings merged with the saved ones
+     */
+    loadIndicatorSettings() {
+        const defaults = {
+            sma: { enabled: false, period: 20 },
+            ema: { enabled: false, period: 50 },
+            bollinger: { enabled: false, period: 20, stdDev: 2 },
+            vwap: { enabled: false },
+            rsi: { enabled: false, period: 14 },
+            macd: { enabled: false, fast: 12, slow: 26, signal: 9 }
+        };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.indicatorSettingsKey) || '{}');
+            Object.keys(defaults).forEach(key => {
+                defaults[key] = { ...defaults[key], ...(saved[key] || {}) };
+            });
+        } catch (error) {
+            console.error('Error loading indicator settings:', error);
+        }
+        
+        return defaults;
+    }
+    
+    saveIndicatorSettings() {
+        try {
+            localStorage.setItem(this.indicatorSettingsKey, JSON.stringify(this.indicatorSettings));
+        } catch (error) {
+            console.error('Error saving indicator settings:', error);
+        }
+    }
+    
+    /**
+     * Bind the indicator menu checkboxes and period inputs to the saved settings
+     */
+    initIndicatorMenu() {
+        const menu = document.getElementById('indicator-menu');
+        if (!menu) return;
+        
+        // Reflect saved settings in the inputs
+        menu.querySelectorAll('[data-indicator]').forEach(input => {
+            const settings = this.indicatorSettings[input.dataset.indicator];
+            const field = input.dataset.field;
+            if (!settings) return;
+            
+            if (field === 'enabled') {
+                input.checked = !!settings.enabled;
+            } else if (settings[field] !== undefined) {
+                input.value = settings[field];
+            }
+        });
+        
+        menu.addEventListener('change', (e) => {
+            const input = e.target;
+            const settings = this.indicatorSettings[input.dataset.indicator];
+            const field = input.dataset.field;
+            if (!settings || !field) return;
+            
+            if (field === 'enabled') {
+                settings.enabled = input.checked;
+            } else {
+                const value = parseFloat(input.value);
+                if (!value || value <= 0) {
+                    input.value = settings[field];
+                    return;
+                }
+                settings[field] = field === 'stdDev' ? value : Math.round(value);
+            }
+            
+            this.saveIndicatorSettings();
+            if (this.currentPriceHistory) {
+                this.createPriceChart(this.currentPriceHistory);
+            }
+        });
+    }
+    
+    /**
+     * Simple moving average (null until enough values are available)
+     */
+    calculateSMA(values, period) {
+        const result = [];
+        let sum = 0;
+        
+        values.forEach((value, i) => {
+            sum += value;
+            if (i >= period) sum -= values[i - period];
+            result.push(i >= period - 1 ? sum / period : null);
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Exponential moving average seeded with the SMA of the first period
+     */
+    calculateEMA(values, period) {
+        const result = [];
+        const multiplier = 2 / (period + 1);
+        let ema = null;
+        
+        values.forEach((value, i) => {
+            if (value === null || value === undefined) {
+                result.push(null);
+                return;
+            }
+            if (ema === null) {
+                const window = values.slice(i - period + 1, i + 1);
+                if (i < period - 1 || window.some(v => v === null || v === undefined)) {
+                    result.push(null);
+                    return;
+                }
+                ema = window.reduce((sum, v) => sum + v, 0) / period;
+            } else {
+                ema = (value - ema) * multiplier + ema;
+            }
+            result.push(ema);
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Bollinger Bands: SMA ± stdDev standard deviations
+     */
+    calculateBollingerBands(values, period, stdDev) {
+        const middle = this.calculateSMA(values, period);
+        const upper = [];
+        const lower = [];
+        
+        values.forEach((value, i) => {
+            if (middle[i] === null) {
+                upper.push(null);
+                lower.push(null);
+                return;
+            }
+            const window = values.slice(i - period + 1, i + 1);
+            const variance = window.reduce((sum, v) => sum + Math.pow(v - middle[i], 2), 0) / period;
+            const deviation = Math.sqrt(variance) * stdDev;
+            upper.push(middle[i] + deviation);
+            lower.push(middle[i] - deviation);
+        });
+        
+        return { upper, middle, lower };
+    }
+    
+    /**
+     * Volume-weighted average price; intraday ranges reset at each session
+     */
+    calculateVWAP(history, resetDaily) {
+        let cumulativeValue = 0;
+        let cumulativeVolume = 0;
+        let session = null;
+        
+        return history.map(bar => {
+            const barSession = new Date(bar.timestamp || bar.date).toDateString();
+            if (resetDaily && barSession !== session) {
+                cumulativeValue = 0;
+                cumulativeVolume = 0;
+                session = barSession;
+            }
+            
+            const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+            cumulativeValue += typicalPrice * (bar.volume || 0);
+            cumulativeVolume += bar.volume || 0;
+            return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+        });
+    }
+    
+    /**
+     * Relative Strength Index with Wilder smoothing
+     */
+    calculateRSI(values, period) {
+        const result = values.map(() => null);
+        if (values.length <= period) return result;
+        
+        let gains = 0;
+        let losses = 0;
+        for (let i = 1; i <= period; i++) {
+            const change = values[i] - values[i - 1];
+            if (change >= 0) gains += change; else losses -= change;
+        }
+        
+        let avgGain = gains / period;
+        let avgLoss = losses / period;
+        result[period] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+        
+        for (let i = period + 1; i < values.length; i++) {
+            const change = values[i] - values[i - 1];
+            avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+            avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+            result[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * MACD line, signal line and histogram
+     */
+    calculateMACD(values, fastPeriod, slowPeriod, signalPeriod) {
+        const fast = this.calculateEMA(values, fastPeriod);
+        const slow = this.calculateEMA(values, slowPeriod);
+        const macd = values.map((value, i) => fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null);
+        const signal = this.calculateEMA(macd, signalPeriod);
+        const histogram = macd.map((value, i) => value !== null && signal[i] !== null ? value - signal[i] : null);
+        
+        return { macd, signal, histogram };
+    }
+    
+    /**
+     * Build the enabled price-panel overlays (moving averages, Bollinger Bands, VWAP)
+     */
+    buildIndicatorOverlays(priceHistory) {
+        const settings = this.indicatorSettings;
+        const closes = priceHistory.map(bar => bar.close);
+        const lineStyle = { borderWidth: 1.5, pointRadius: 0, pointHoverRadius: 0, fill: false, tension: 0.1, spanGaps: true };
+        const datasets = [];
+        
+        if (settings.sma.enabled) {
+            datasets.push({ ...lineStyle, label: `SMA ${settings.sma.period}`, data: this.calculateSMA(closes, settings.sma.period), borderColor: '#f59e0b' });
+        }
+        
+        if (settings.ema.enabled) {
+            datasets.push({ ...lineStyle, label: `EMA ${settings.ema.period}`, data: this.calculateEMA(closes, settings.ema.period), borderColor: '#8b5cf6' });
+        }
+        
+        if (settings.bollinger.enabled) {
+            const bands = this.calculateBollingerBands(closes, settings.bollinger.period, settings.bollinger.stdDev);
+            const bandLabel = `BB ${settings.bollinger.period}, ${settings.bollinger.stdDev}`;
+            datasets.push({ ...lineStyle, label: this.t('chart.bollingerUpper', { label: bandLabel }), data: bands.upper, borderColor: 'rgba(59, 130, 246, 0.8)' });
+            datasets.push({
+                ...lineStyle,
+                label: this.t('chart.bollingerLower', { label: bandLabel }),
+                data: bands.lower,
+                borderColor: 'rgba(59, 130, 246, 0.8)',
+                backgroundColor: 'rgba(59, 130, 246, 0.08)',
+                fill: '-1' // Shade the band between upper and lower
+            });
+            datasets.push({ ...lineStyle, label: '_BB Middle', data: bands.middle, borderColor: 'rgba(59, 130, 246, 0.4)', borderDash: [4, 4] });
+        }
+        
+        if (settings.vwap.enabled) {
+            const intraday = this.chartRanges[this.selectedRange].intraday;
+            datasets.push({ ...lineStyle, label: 'VWAP', data: this.calculateVWAP(priceHistory, intraday), borderColor: '#ec4899', borderDash: [6, 3] });
+        }
+        
+        return datasets;
+    }
+    
+    /**
+     * Create or tear down a sub-panel chart sharing the price chart's x labels and axis width
+     */
+    createSubPanelChart(canvasId, existingChart, labels, datasets, yOptions, isDark) {
+        if (existingChart) {
+            existingChart.destroy();
+        }
+        
+        const canvas = document.getElementById(canvasId);
+        const container = canvas ? canvas.parentElement : null;
+        if (!canvas || !datasets) {
+            if (container) container.classList.add('hidden');
+            return null;
+        }
+        container.classList.remove('hidden');
+        
+        const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDark ? '#cbd5e1' : '#374151';
+        
+        try {
+            return new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: { labels, datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    interaction: { intersect: false, mode: 'index' },
+                    plugins: {
+                        legend: {
+                            display: true,
+                            labels: { color: textColor, boxWidth: 12, filter: (item) => !item.text.startsWith('_') }
+                        },
+                        tooltip: {
+                            filter: (item) => item.parsed.y !== null && !item.dataset.label.startsWith('_'),
+                            callbacks: {
+                                label: (context) => `${context.dataset.label}: ${this.formatNumber(context.parsed.y, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { display: true, grid: { display: false }, ticks: { display: false } },
+                        y: {
+                            ...yOptions,
+                            afterFit: (scale) => { scale.width = this.chartAxisWidth; },
+                            grid: { color: gridColor },
+                            ticks: { color: textColor, maxTicksLimit: 4, font: { size: 10 } }
+                        }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error(`Error creating ${canvasId}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Create the RSI and MACD sub-panels when enabled
+     */
+    createIndicatorPanels(priceHistory, labels, isDark) {
+        const settings = this.indicatorSettings;
+        const closes = priceHistory.map(bar => bar.close);
+        const lineStyle = { borderWidth: 1.5, pointRadius: 0, pointHoverRadius: 0, fill: false, tension: 0.1 };
+        
+        let rsiDatasets = null;
+        if (settings.rsi.enabled) {
+            const guide = (level) => ({ ...lineStyle, label: `_${level}`, data: labels.map(() => level), borderColor: 'rgba(148, 163, 184, 0.6)', borderDash: [4, 4], borderWidth: 1 });
+            rsiDatasets = [
+                { ...lineStyle, label: `RSI ${settings.rsi.period}`, data: this.calculateRSI(closes, settings.rsi.period), borderColor: '#8b5cf6' },
+                guide(70),
+                guide(30)
+            ];
+        }
+        this.rsiChart = this.createSubPanelChart('rsi-chart', this.rsiChart, labels, rsiDatasets, { min: 0, max: 100 }, isDark);
+        
+        let macdDatasets = null;
+        if (settings.macd.enabled) {
+            const macd = this.calculateMACD(closes, settings.macd.fast, settings.macd.slow, settings.macd.signal);
+            macdDatasets = [
+                { ...lineStyle, label: `MACD ${settings.macd.fast},${settings.macd.slow}`, data: macd.macd, borderColor: '#3b82f6' },
+                { ...lineStyle, label: this.t('chart.macdSignal', { period: settings.macd.signal }), data: macd.signal, borderColor: '#f59e0b' },
+                {
+                    type: 'bar',
+                    label: this.t('chart.macdHistogram'),
+                    data: macd.histogram,
+                    backgroundColor: macd.histogram.map(value => value >= 0 ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)'),
+                    borderWidth: 0
+                }
+            ];
+        }
+        this.macdChart = this.createSubPanelChart('macd-chart', this.macdChart, labels, macdDatasets, {}, isDark);
+    }
+    
+    /**
+     * Initialize hybrid data system
+     */
+    initHybridData() {
+        // Try to get cached API update time
+        const cachedUpdate = localStorage.getItem('lastApiUpdate');
+        if (cachedUpdate) {
+            this.lastApiUpdate = parseInt(cachedUpdate);
+        }
+        
+        // Start background API refresh if enabled
+        if (this.isLiveDataEnabled) {
+            this.startDataRefresh();
+        }
+        
+        console.log('Hybrid data system initialized');
+    }
+    
+    /**
+     * Start background data refresh
+     */
+    startDataRefresh() {
+        // Clear existing interval
+        if (this.dataUpdateInterval) {
+            clearInterval(this.dataUpdateInterval);
+        }
+        
+        // Start periodic refresh
+        this.dataUpdateInterval = setInterval(() => {
+            this.refreshStockData();
+        }, this.updateFrequency);
+        
+        // Try immediate refresh
+        setTimeout(() => this.refreshStockData(), 2000);
+        
+        console.log('Background data refresh started');
+    }
+    
+    /**
+     * Stop background data refresh
+     */
+    stopDataRefresh() {
+        if (this.dataUpdateInterval) {
+            clearInterval(this.dataUpdateInterval);
+            this.dataUpdateInterval = null;
+        }
+        console.log('Background data refresh stopped');
+    }
+    
+    /**
+     * Refresh stock data from API
+     */
+    async refreshStockData() {
+        // Only refresh if we have a current stock
+        if (!this.currentStock) return;
+        
+        try {
+            console.log(`Attempting to refresh data for ${this.currentStock}...`);
+            
+            // Try to fetch fresh data from the live providers only
+            const quote = await this.fetchQuote(this.currentStock, { allowOffline: false });
+
+            // Update with fresh API data
+            if (this.currentStockData) {
+                this.currentStockData.dataSource = quote.providerName;
+                
+                const chartResult = this.extractYahooChartResult(quote);
+                if (chartResult) {
+                    // Refresh bars, ranges and previous close before the price itself is updated
+                    this.applyYahooChartData(this.currentStockData, chartResult);
+                }
+            }
+            this.updateWithFreshData(quote.price);
+            this.lastApiUpdate = Date.now();
+            localStorage.setItem('lastApiUpdate', this.lastApiUpdate.toString());
+            console.log(`✅ Fresh data updated from ${quote.providerName}: ${this.currentStock} = $${quote.price}`);
+        } catch (error) {
+            console.log(`⚠️  API refresh failed: ${error.message} - using static data`);
+            // Continue with static data - no action needed
+        }
+    }
+    
+    /**
+     * Update display with fresh API data
+     */
+    updateWithFreshData(newPrice) {
+        if (this.currentStockData) {
+            // Calculate new daily change
+            const basePrice = this.currentStockData.currentPrice - this.currentStockData.dailyChange;
+            
+            // Update current data
+            this.currentStockData.currentPrice = newPrice;
+            this.currentStockData.dailyChange = newPrice - basePrice;
+            this.currentStockData.dailyChangePercent = ((newPrice - basePrice) / basePrice) * 100;
+            this.currentStockData.isLiveData = true;
+            
+            // Update display
+            this.displayStockData(this.currentStock, this.currentStockData);
+            
+            // Update stored price
+            this.currentPrice = newPrice;
+        }
+    }
+    
+    /**
+     * Exchange a ticker trades on, from its suffix (e.g. VOD.L -> LSE)
+     */
+    getExchange(ticker = this.currentStock) {
+        return this.marketCalendar.getExchangeForSymbol(ticker);
+    }
+    
+    /**
+     * Upper-case ticker characters only (letters, digits and . ^ = -), so symbols are safe in markup
+     */
+    isValidSymbol(symbol) {
+        return /^[A-Z0-9.^=-]{1,12}$/.test(symbol);
+    }
+    
+    /**
+     * Current time from the injectable clock
+     */
+    now() {
+        return this.marketCalendar.now();
+    }
+    
+    /**
+     * Wall-clock time in an exchange's timezone, as a Date whose fields read in exchange time
+     */
+    getExchangeTime(exchange = this.getExchange(), instant = this.now()) {
+        return this.marketCalendar.getExchangeTime(exchange, instant);
+    }
+    
+    /**
+     * YYYY-MM-DD key for a calendar date (uses the date's own fields, e.g. an exchange-local Date)
+     */
+    formatDateKey(date) {
+        return this.marketCalendar.formatDateKey(date);
+    }
+    
+    /**
+     * Merge saved calendar overrides over the built-in table
+     */
+    loadMarketCalendarOverrides() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.marketCalendarKey) || '{}');
+            this.marketCalendar.mergeOverrides(saved);
+        } catch (error) {
+            console.error('Error loading market calendar overrides:', error);
+        }
+    }
+    
+    /**
+     * Override one date: { name, closed: true }, { name, earlyClose: true }, or null to trade normally
+     */
+    setMarketCalendarOverride(dateKey, entry, exchangeId = 'US') {
+        this.marketCalendar.setOverride(dateKey, entry, exchangeId);
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.marketCalendarKey) || '{}');
+            saved[exchangeId] = { ...saved[exchangeId], [dateKey]: entry };
+            localStorage.setItem(this.marketCalendarKey, JSON.stringify(saved));
+        } catch (error) {
+            console.error('Error saving market calendar override:', error);
+        }
+        
+        this.updateMarketStatus();
+    }
+    
+    /**
+     * Trading hours for a calendar date: weekends and holidays are closed, half days close early
+     */
+    getMarketDay(date, exchange = this.getExchange()) {
+        return this.marketCalendar.getMarketDay(date, exchange);
+    }
+    
+    /**
+     * Check if current time is during market hours
+     */
+    isMarketOpen(exchange = this.getExchange(), instant = this.now()) {
+        return this.marketCalendar.isMarketOpen(exchange, instant);
+    }
+    
+    /**
+     * Exact instants for the regular session (see MarketCalendar#getMarketSessions)
+     */
+    getMarketSessions(exchange = this.getExchange(), instant = this.now()) {
+        return this.marketCalendar.getMarketSessions(exchange, instant);
+    }
+    
+    /**
+     * Get market status with details
+     */
+    getMarketStatus(exchange = this.getExchange(), instant = this.now()) {
+        const localTime = this.getExchangeTime(exchange, instant);
+        const marketDay = this.getMarketDay(localTime, exchange);
+        const currentMinutes = localTime.getHours() * 60 + localTime.getMinutes();
+        const openMinutes = marketDay.openMinutes;
+        const closeMinutes = marketDay.closeMinutes;
+        const extendedHours = exchange.extendedHours;
+        
+        // Weekend or exchange holiday
+        if (!marketDay.isTradingDay) {
+            return {
+                status: 'closed',
+                description: marketDay.isWeekend ? this.t('market.closedWeekend') : this.t('market.closedHoliday', { holiday: marketDay.holiday.name }),
+                nextEvent: this.getNextMarketOpen(exchange, instant),
+                color: '#ff6b6b'
+            };
+        }
+        
+        // Weekday market hours logic
+        if (currentMinutes < openMinutes) {
+            const preMarketStart = extendedHours ? extendedHours.preMarketHour * 60 : null; // 4:00 AM ET
+            if (extendedHours && currentMinutes >= preMarketStart) {
+                return {
+                    status: 'pre-market',
+                    description: this.t('market.preMarket'),
+                    nextEvent: this.t('market.opensAt', { time: this.formatTime(openMinutes, exchange) }),
+                    color: '#ffa726'
+                };
+            } else {
+                return {
+                    status: 'closed',
+                    description: this.t('market.closed'),
+                    nextEvent: extendedHours
+                        ? this.t('market.preMarketAt', { time: this.formatTime(preMarketStart, exchange) })
+                        : this.t('market.opensAt', { time: this.formatTime(openMinutes, exchange) }),
+                    color: '#ff6b6b'
+                };
+            }
+        } else if (marketDay.breakStartMinutes !== null &&
+                   currentMinutes >= marketDay.breakStartMinutes && currentMinutes < marketDay.breakEndMinutes) {
+            return {
+                status: 'break',
+                description: this.t('market.break'),
+                nextEvent: this.t('market.resumesAt', { time: this.formatTime(marketDay.breakEndMinutes, exchange) }),
+                color: '#ffa726'
+            };
+        } else if (currentMinutes < closeMinutes) {
+            return {
+                status: 'open',
+                description: marketDay.earlyClose ? this.t('market.openEarlyClose', { holiday: marketDay.holiday.name }) : this.t('market.open'),
+                nextEvent: marketDay.breakStartMinutes !== null && currentMinutes < marketDay.breakStartMinutes
+                    ? this.t('market.breakAt', { time: this.formatTime(marketDay.breakStartMinutes, exchange) })
+                    : this.t('market.closesAt', { time: this.formatTime(closeMinutes, exchange) }),
+                color: '#4caf50'
+            };
+        } else {
+            const afterHoursEnd = extendedHours ? closeMinutes + extendedHours.afterHoursMinutes : null; // 8:00 PM ET, 5:00 PM ET on half days
+            if (extendedHours && currentMinutes < afterHoursEnd) {
+                return {
+                    status: 'after-hours',
+                    description: this.t('market.afterHours'),
+                    nextEvent: this.t('market.afterHoursEnds', { time: this.formatTime(afterHoursEnd, exchange) }),
+                    color: '#ff9800'
+                };
+            } else {
+                return {
+                    status: 'closed',
+                    description: this.t('market.closed'),
+                    nextEvent: this.getNextMarketOpen(exchange, instant),
+                    color: '#ff6b6b'
+                };
+            }
+        }
+    }
+    
+    /**
+     * Get next market open time
+     */
+    getNextMarketOpen(exchange = this.getExchange(), instant = this.now()) {
+        const { nextOpen } = this.getMarketSessions(exchange, instant);
+        if (!nextOpen) return this.t('market.notScheduled');
+        
+        const localOpen = this.getExchangeTime(exchange, nextOpen);
+        return this.t('market.nextOpen', {
+            date: this.formatDate(localOpen),
+            time: this.formatTime(localOpen.getHours() * 60 + localOpen.getMinutes(), exchange)
+        });
+    }
+    
+    /**
+     * Format a duration as a countdown, e.g. "2h 05m 09s" or "1d 3h 12m"
+     */
+    formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = Math.floor((totalSeconds % 86400) / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = (value) => value.toString().padStart(2, '0');
+        
+        if (days > 0) return `${days}d ${hours}h ${pad(minutes)}m`;
+        if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+        return `${minutes}m ${pad(seconds)}s`;
+    }
+    
+    /**
+     * Format minutes to time string
+     */
+    formatTime(minutes, exchange = this.getExchange()) {
+        // Exchange wall-clock time; formatted in UTC so the viewer's own timezone doesn't shift it
+        const wallClock = Date.UTC(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+        return `${this.formatDate(wallClock, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })} ${exchange.timezoneLabel}`;
+    }
+    
+    /**
+     * Update market status display
+     */
+    updateMarketStatus() {
+        const exchange = this.getExchange();
+        const status = this.getMarketStatus(exchange);
+        const statusDot = document.getElementById('market-status-dot');
+        const statusText = document.getElementById('market-status-text');
+        const nextEvent = document.getElementById('market-next-event');
+        
+        if (statusDot && statusText && nextEvent) {
+            // Update status dot color and animation
+            statusDot.className = `status-dot ${status.status}`;
+            statusDot.style.background = status.color;
+            
+            // Update text content
+            statusText.textContent = exchange === this.exchanges.US ? status.description : `${exchange.name} · ${status.description}`;
+            nextEvent.textContent = status.nextEvent;
+            
+            // Remember what the per-second countdown is counting towards
+            const sessions = this.getMarketSessions(exchange);
+            this.marketCountdown = {
+                text: status.nextEvent,
+                label: sessions.isOpen ? 'market.closesIn' : 'market.opensIn',
+                target: sessions.isOpen ? sessions.nextClose : sessions.nextOpen
+            };
+            this.updateMarketCountdown();
+            
+            console.log('Market status updated:', status);
+        }
+    }
+    
+    /**
+     * Tick the live countdown in the status bar; refreshes the status once the target passes
+     */
+    updateMarketCountdown() {
+        const nextEvent = document.getElementById('market-next-event');
+        if (!nextEvent || !this.marketCountdown || !this.marketCountdown.target) return;
+        
+        const { text, label, target } = this.marketCountdown;
+        const remaining = target - this.now();
+        if (remaining <= 0) {
+            this.updateMarketStatus();
+            return;
+        }
+        
+        nextEvent.textContent = `${text} · ${this.t(label, { countdown: this.formatCountdown(remaining) })}`;
+    }
+    
+    /**
+     * Update data indicator to show data freshness
+     */
+    updateDataIndicator(isLiveData = false, dataSource = null) {
+        const dataStatus = document.getElementById('data-status');
+        const lastUpdated = document.getElementById('last-updated');
+        
+        console.log('updateDataIndicator called:', { 
+            isLiveData, 
+            dataStatusExists: !!dataStatus, 
+            lastUpdatedExists: !!lastUpdated,
+            currentLastUpdatedValue: lastUpdated?.textContent 
+        });
+        
+        if (dataStatus && lastUpdated) {
+            const now = new Date();
+            const timeString = this.formatDate(now, { timeStyle: 'medium' });
+            
+            // Ensure the element is visible with aggressive CSS
+            lastUpdated.style.display = 'inline-block';
+            lastUpdated.style.visibility = 'visible';
+            lastUpdated.style.opacity = '1';
+            lastUpdated.style.position = 'static';
+            lastUpdated.style.zIndex = '1';
+            lastUpdated.style.width = 'auto';
+            lastUpdated.style.height = 'auto';
+            
+            if (isLiveData) {
+                dataStatus.textContent = dataSource ? this.t('data.liveFrom', { source: dataSource }) : this.t('data.live');
+                dataStatus.className = 'data-status live';
+                lastUpdated.textContent = this.t('data.lastUpdated', { time: timeString });
+                console.log('Set live data lastUpdated to:', lastUpdated.textContent);
+            } else {
+                dataStatus.textContent = this.t('data.static');
+                dataStatus.className = 'data-status static';
+                lastUpdated.textContent = this.t('data.lastUpdated', { time: timeString });
+                console.log('Set demo data lastUpdated to:', lastUpdated.textContent);
+            }
+            
+            // Force a repaint
+            lastUpdated.offsetHeight;
+            
+            console.log('Data indicator updated:', { 
+                isLiveData, 
+                time: timeString,
+                finalText: lastUpdated.textContent,
+                isVisible: lastUpdated.offsetParent !== null
+            });
+        } else {
+            console.error('updateDataIndicator: Missing elements', { dataStatus: !!dataStatus, lastUpdated: !!lastUpdated });
+        }
+    }
+    
+    /**
+     * Create a backup last-updated element if the original is not working
+     */
+    createBackupLastUpdatedElement(dataIndicator) {
+        console.log('Creating backup last-updated element');
+        
+        if (!dataIndicator) {
+            console.error('Data indicator container not found');
+            return;
+        }
+        
+        // Remove existing backup if any
+        const existingBackup = document.getElementById('last-updated-backup');
+        if (existingBackup) {
+            existingBackup.remove();
+        }
+        
+        // Create new element
+        const backupElement = document.createElement('span');
+        backupElement.id = 'last-updated-backup';
+        backupElement.textContent = this.t('data.lastUpdated', { time: this.formatDate(new Date(), { timeStyle: 'medium' }) });
+        
+        // Apply aggressive inline styles
+        backupElement.style.cssText = `
+            color: #6b7280 !important;
+            font-size: 0.85rem !important;
+            font-weight: 500 !important;
+            display: inline-block !important;
+            visibility: visible !important;
+            opacity: 1 !important;
+            position: static !important;
+            z-index: 999 !important;
+            background: rgba(255, 255, 255, 0.9) !important;
+            padding: 2px 6px !important;
+            border-radius: 4px !important;
+            border: 1px solid #e5e7eb !important;
+        `;
+        
+        // Append to data indicator
+        dataIndicator.appendChild(backupElement);
+        
+        console.log('Backup element created and appended');
+        
+        // Update the elements reference to use backup
+        this.elements.lastUpdated = backupElement;
+    }
+    
+    /**
+     * Emergency test to prove JavaScript is working
+     */
+    addEmergencyTestElement() {
+        console.log('🚨 EMERGENCY TEST: Adding bright test element');
+        
+        // Remove existing test if any
+        const existingTest = document.getElementById('emergency-test');
+        if (existingTest) {
+            existingTest.remove();
+        }
+        
+        // Find the stock display area
+        const stockDisplay = document.getElementById('stock-display');
+        if (!stockDisplay) {
+            console.error('Stock display not found!');
+            return;
+        }
+        
+        // Create an unmissable bright element
+        const testElement = document.createElement('div');
+        testElement.id = 'emergency-test';
+        testElement.innerHTML = `
+            <div style="
+                background: #ff0000 !important;
+                color: #ffffff !important;
+                padding: 10px !important;
+                margin: 10px 0 !important;
+                border: 3px solid #000000 !important;
+                font-size: 16px !important;
+                font-weight: bold !important;
+                text-align: center !important;
+                display: block !important;
+                visibility: visible !important;
+                opacity: 1 !important;
+                position: relative !important;
+                z-index: 9999 !important;
+                width: 100% !important;
+                box-sizing: border-box !important;
+            ">
+                🚨 EMERGENCY TEST: JavaScript is working! 🚨<br>
+                ${this.t('data.lastUpdated', { time: this.formatDate(new Date(), { timeStyle: 'medium' }) })}
+            </div>
+        `;
+        
+        // Add to the top of stock display
+        stockDisplay.insertBefore(testElement, stockDisplay.firstChild);
+        
+        console.log('🚨 Emergency test element added - should be BRIGHT RED and unmissable');
+    }
+    
+    /**
+     * Initialize market status with periodic updates
+     */
+    initMarketStatus() {
+        console.log('=== Initializing Market Status ===');
+        
+        // Test market status detection immediately
+        const testStatus = this.getMarketStatus();
+        console.log('Current market status:', testStatus);
+        console.log('Exchange time:', this.getExchangeTime());
+        console.log('Is market open?', this.isMarketOpen());
+        
+        // Update immediately
+        this.updateMarketStatus();
+        
+        // Update every minute to keep status current
+        setInterval(() => {
+            this.updateMarketStatus();
+        }, 60000); // 1 minute
+        
+        // Tick the next open/close countdown every second
+        setInterval(() => {
+            this.updateMarketCountdown();
+        }, 1000);
+        
+        console.log('Market status monitoring initialized');
+    }
+    
+    /**
+     * Initialize dark mode functionality
+     */
+    initDarkMode() {
+        // Check for saved theme preference or default to light mode
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        
+        // Add event listener to dark mode toggle
+        const darkModeToggle = document.getElementById('dark-mode-toggle');
+        if (darkModeToggle) {
+            darkModeToggle.addEventListener('click', () => {
+                this.toggleDarkMode();
+            });
+            console.log('Dark mode toggle initialized successfully');
+        } else {
+            console.error('Dark mode toggle button not found');
+        }
+    }
+    
+    /**
+     * Toggle between light and dark modes
+     */
+    toggleDarkMode() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+        this.setTheme(newTheme);
+        
+        console.log(`Theme switched to: ${newTheme}`);
+    }
+
+    // Earnings date utility methods
+    generateFutureEarningsDate() {
+        const today = new Date();
+        const randomDays = Math.floor(Math.random() * 90) + 14; // 14-104 days from now
+        const futureDate = new Date(today.getTime() + randomDays * 24 * 60 * 60 * 1000);
+        return futureDate.toISOString().split('T')[0]; // YYYY-MM-DD format
+    }
+
+    calculateDaysToEarnings(earningsDate) {
+        const today = new Date();
+        const earningsDateTime = new Date(earningsDate);
+        const diffTime = earningsDateTime.getTime() - today.getTime();
+        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+        return diffDays;
+    }
+
+    formatEarningsDisplay(earningsDate, daysToEarnings) {
+        const formattedDate = this.formatDate(earningsDate, { month: 'short', day: 'numeric', year: 'numeric' });
+        
+        if (daysToEarnings < 0) {
+            return this.t('earnings.daysAgo', { date: formattedDate, count: Math.abs(daysToEarnings) });
+        } else if (daysToEarnings === 0) {
+            return this.t('earnings.today', { date: formattedDate });
+        } else if (daysToEarnings === 1) {
+            return this.t('earnings.tomorrow', { date: formattedDate });
+        }
+        return this.t('earnings.inDays', { date: formattedDate, count: daysToEarnings });
+    }
+
+    updateDividendDisplay(stockData) {
+        const dividendEl = document.getElementById('dividend');
+        const exDateEl = document.getElementById('ex-dividend-date');
+        const payDateEl = document.getElementById('dividend-pay-date');
+        if (!dividendEl || !exDateEl || !payDateEl) return;
+        
+        const dividend = stockData.dividend;
+        if (!dividend) {
+            dividendEl.textContent = this.t('dividend.none');
+            dividendEl.title = '';
+            exDateEl.textContent = '—';
+            payDateEl.textContent = '—';
+            exDateEl.classList.remove('upcoming');
+            return;
+        }
+        
+        const { exDate, payDate, estimated } = this.getUpcomingDividendDates(dividend);
+        const formatDate = (date) => {
+            const formatted = this.formatDate(date, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+            return estimated ? this.t('dividend.estimated', { date: formatted }) : formatted;
+        };
+        const daysToExDate = Math.ceil((exDate - new Date(this.formatDateKey(this.now()))) / (24 * 60 * 60 * 1000));
+        
+        dividendEl.textContent = this.t('dividend.value', {
+            amount: this.formatCurrency(dividend.annual, this.getExchange(stockData.ticker).currency),
+            yield: this.formatPercent(this.getDividendYield(stockData, stockData.currentPrice))
+        });
+        dividendEl.title = this.t('dividend.frequency', { count: dividend.frequency });
+        exDateEl.textContent = formatDate(exDate);
+        exDateEl.classList.toggle('upcoming', daysToExDate >= 0 && daysToExDate <= 7);
+        payDateEl.textContent = payDate ? formatDate(payDate) : '—';
+    }
+    
+    // Generate realistic day's range
+    generateDayRange(currentPrice) {
+        const volatility = 0.03; // 3% daily volatility
+        const lowMultiplier = 1 - (Math.random() * volatility);
+        const highMultiplier = 1 + (Math.random() * volatility);
+        
+        const rangeLow = currentPrice * lowMultiplier;
+        const rangeHigh = currentPrice * highMultiplier;
+        
+        return {
+            low: Math.min(rangeLow, currentPrice),
+            high: Math.max(rangeHigh, currentPrice)
+        };
+    }
+
+    // Format volume numbers
+    formatVolume(volume) {
+        if (!volume || isNaN(volume)) return 'N/A';
+        return this.formatCompactNumber(volume);
+    }
+
+    // Watchlist Functionality
+    initWatchlists() {
+        this.loadWatchlists();
+        this.setupWatchlistEvents();
+        this.renderWatchlists();
+    }
+
+    loadWatchlists() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.watchlistsKey) || 'null');
+            if (saved && Array.isArray(saved.lists) && saved.lists.length > 0) {
+                // Drop symbols saved before they were validated
+                this.watchlists = saved.lists.map(list => ({ ...list, symbols: list.symbols.filter(symbol => this.isValidSymbol(symbol)) }));
+                this.activeWatchlistId = saved.activeId;
+            }
+        } catch (error) {
+            console.error('Error loading watchlists:', error);
+        }
+
+        if (this.watchlists.length === 0) {
+            this.watchlists = [{ id: Date.now(), name: this.t('watchlist.defaultName'), symbols: [] }];
+        }
+        if (!this.getActiveWatchlist()) {
+            this.activeWatchlistId = this.watchlists[0].id;
+        }
+    }
+
+    saveWatchlists() {
+        try {
+            localStorage.setItem(this.watchlistsKey, JSON.stringify({
+                activeId: this.activeWatchlistId,
+                lists: this.watchlists
+            }));
+        } catch (error) {
+            console.error('Error saving watchlists:', error);
+        }
+    }
+
+    getActiveWatchlist() {
+        return this.watchlists.find(list => list.id === this.activeWatchlistId) || null;
+    }
+
+    createWatchlist(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return null;
+
+        const list = { id: Date.now(), name: trimmed, symbols: [] };
+        this.watchlists.push(list);
+        this.activeWatchlistId = list.id;
+        this.saveWatchlists();
+        this.renderWatchlists();
+        return list;
+    }
+
+    renameWatchlist(listId, name) {
+        const list = this.watchlists.find(l => l.id === listId);
+        const trimmed = (name || '').trim();
+        if (!list || !trimmed) return;
+
+        list.name = trimmed;
+        this.saveWatchlists();
+        this.renderWatchlists();
+    }
+
+    deleteWatchlist(listId) {
+        // Always keep at least one list to add symbols to
+        if (this.watchlists.length <= 1) {
+            this.showError(this.t('watchlist.needOne'));
+            return;
+        }
 
-    calculateDaysToEarnings(earningsDate) {
-        const today = new Date();
-        const earningsDateTime = new Date(earningsDate);
-        const diffTime = earningsDateTime.getTime() - today.getTime();
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        return diffDays;
+        this.watchlists = this.watchlists.filter(l => l.id !== listId);
+        if (this.activeWatchlistId === listId) {
+            this.activeWatchlistId = this.watchlists[0].id;
+        }
+        this.saveWatchlists();
+        this.renderWatchlists();
     }
 
-    formatEarningsDisplay(earningsDate, daysToEarnings) {
-        const options = { month: 'short', day: 'numeric', year: 'numeric' };
-        const formattedDate = new Date(earningsDate).toLocaleDateString('en-US', options);
-        
-        if (daysToEarnings < 0) {
-            return `${formattedDate} (${Math.abs(daysToEarnings)} days ago)`;
-        } else if (daysToEarnings === 0) {
-            return `${formattedDate} (Today!)`;
-        } else if (daysToEarnings === 1) {
-            return `${formattedDate} (Tomorrow)`;
-        } else if (daysToEarnings <= 7) {
-            return `${formattedDate} (${daysToEarnings} days)`;
+    moveWatchlist(listId, direction) {
+        const index = this.watchlists.findIndex(l => l.id === listId);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.watchlists.length) return;
+
+        [this.watchlists[index], this.watchlists[target]] = [this.watchlists[target], this.watchlists[index]];
+        this.saveWatchlists();
+        this.renderWatchlists();
+    }
+
+    addToWatchlist(ticker) {
+        const list = this.getActiveWatchlist();
+        const symbol = (ticker || '').trim().toUpperCase();
+        if (!list || !symbol) return;
+
+        if (!this.isValidSymbol(symbol)) {
+            this.showError(this.t('error.invalidTicker'));
+            return;
+        }
+        if (list.symbols.includes(symbol)) {
+            this.showError(this.t('watchlist.duplicate', { symbol, list: list.name }));
+            return;
+        }
+
+        list.symbols.push(symbol);
+        this.saveWatchlists();
+        this.renderWatchlists();
+        this.getQuote(symbol);
+    }
+
+    removeFromWatchlist(symbol) {
+        const list = this.getActiveWatchlist();
+        if (!list) return;
+
+        list.symbols = list.symbols.filter(s => s !== symbol);
+        this.saveWatchlists();
+        this.renderWatchlists();
+    }
+
+    moveWatchlistSymbol(symbol, direction) {
+        const list = this.getActiveWatchlist();
+        if (!list) return;
+
+        const index = list.symbols.indexOf(symbol);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= list.symbols.length) return;
+
+        [list.symbols[index], list.symbols[target]] = [list.symbols[target], list.symbols[index]];
+        this.saveWatchlists();
+        this.renderWatchlists();
+    }
+
+    setupWatchlistEvents() {
+        const section = document.getElementById('watchlist-section');
+        if (!section) return;
+
+        const addForm = document.getElementById('watchlist-add-form');
+        const addInput = document.getElementById('watchlist-add-input');
+        addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addToWatchlist(addInput.value);
+            addInput.value = '';
+        });
+
+        document.getElementById('watchlist-add-current').addEventListener('click', () => {
+            if (!this.currentStock) {
+                this.showError(this.t('error.needStock'));
+                return;
+            }
+            this.addToWatchlist(this.currentStock);
+        });
+
+        document.getElementById('watchlist-new').addEventListener('click', () => {
+            const name = prompt(this.t('watchlist.newPrompt'));
+            if (name) this.createWatchlist(name);
+        });
+
+        document.getElementById('watchlist-rename').addEventListener('click', () => {
+            const list = this.getActiveWatchlist();
+            const name = prompt(this.t('watchlist.renamePrompt'), list.name);
+            if (name) this.renameWatchlist(list.id, name);
+        });
+
+        document.getElementById('watchlist-delete').addEventListener('click', () => {
+            const list = this.getActiveWatchlist();
+            if (confirm(this.t('watchlist.deleteConfirm', { list: list.name }))) {
+                this.deleteWatchlist(list.id);
+            }
+        });
+
+        // Tabs and rows are re-rendered, so their clicks are delegated
+        section.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-watchlist-id]');
+            const moveList = e.target.closest('[data-move-list]');
+            const moveSymbol = e.target.closest('[data-move-symbol]');
+            const remove = e.target.closest('[data-remove-symbol]');
+            const row = e.target.closest('.watchlist-row');
+
+            if (moveList) {
+                this.moveWatchlist(this.activeWatchlistId, parseInt(moveList.dataset.moveList));
+            } else if (tab) {
+                this.activeWatchlistId = parseInt(tab.dataset.watchlistId);
+                this.saveWatchlists();
+                this.renderWatchlists();
+                this.refreshWatchlistQuotes();
+            } else if (moveSymbol) {
+                this.moveWatchlistSymbol(moveSymbol.dataset.symbol, parseInt(moveSymbol.dataset.moveSymbol));
+            } else if (remove) {
+                this.removeFromWatchlist(remove.dataset.removeSymbol);
+            } else if (row) {
+                // Load the symbol into the main display just like a typed ticker
+                this.elements.tickerInput.value = row.dataset.symbol;
+                this.fetchStockPrice();
+            }
+        });
+    }
+
+    renderWatchlists() {
+        const tabs = document.getElementById('watchlist-tabs');
+        const body = document.getElementById('watchlist-rows');
+        if (!tabs || !body) return;
+
+        tabs.innerHTML = this.watchlists.map(list => `
+            <button type="button" class="watchlist-tab${list.id === this.activeWatchlistId ? ' active' : ''}" data-watchlist-id="${list.id}">
+                ${list.name} <span class="watchlist-count">${list.symbols.length}</span>
+            </button>
+        `).join('');
+
+        const list = this.getActiveWatchlist();
+        if (!list || list.symbols.length === 0) {
+            body.innerHTML = `<tr><td colspan="5" class="watchlist-empty">${this.t('watchlist.empty')}</td></tr>`;
+            return;
+        }
+
+        body.innerHTML = list.symbols.map((symbol, index) => `
+            <tr class="watchlist-row" data-symbol="${symbol}" title="${this.t('common.loadSymbol', { symbol })}">
+                <td>
+                    <span class="watchlist-symbol">${symbol}</span>
+                    <span class="watchlist-name" data-field="name"></span>
+                </td>
+                <td class="watchlist-price" data-field="price">—</td>
+                <td class="watchlist-change" data-field="change">—</td>
+                <td><canvas class="watchlist-sparkline" width="100" height="30"></canvas></td>
+                <td class="watchlist-actions">
+                    <button type="button" data-symbol="${symbol}" data-move-symbol="-1" ${index === 0 ? 'disabled' : ''} aria-label="${this.t('common.moveUp')}">▲</button>
+                    <button type="button" data-symbol="${symbol}" data-move-symbol="1" ${index === list.symbols.length - 1 ? 'disabled' : ''} aria-label="${this.t('common.moveDown')}">▼</button>
+                    <button type="button" data-remove-symbol="${symbol}" aria-label="${this.t('watchlist.remove', { symbol })}">✕</button>
+                </td>
+            </tr>
+        `).join('');
+
+        list.symbols.forEach(symbol => {
+            if (this.quoteCache[symbol]) {
+                this.updateWatchlistRow(this.quoteCache[symbol]);
+            }
+        });
+    }
+
+    /**
+     * Update a watchlist row in place when a new quote arrives
+     */
+    updateWatchlistRow(quote) {
+        const row = [...document.querySelectorAll('.watchlist-row')].find(el => el.dataset.symbol === quote.ticker);
+        if (!row) return;
+
+        const isPositive = quote.change >= 0;
+        const currency = this.getExchange(quote.ticker).currency;
+        row.querySelector('[data-field="name"]').textContent = quote.name && quote.name !== quote.ticker ? quote.name : '';
+        row.querySelector('[data-field="price"]').textContent = this.formatCurrency(quote.price, currency);
+
+        const changeEl = row.querySelector('[data-field="change"]');
+        changeEl.textContent = `${isPositive ? '+' : ''}${this.formatCurrency(quote.change, currency)} (${this.formatPercent(quote.changePercent, { signed: true })})`;
+        changeEl.className = `watchlist-change ${isPositive ? 'positive' : 'negative'}`;
+
+        this.drawWatchlistSparkline(quote, row.querySelector('.watchlist-sparkline'));
+    }
+
+    async drawWatchlistSparkline(quote, canvas) {
+        if (!canvas) return;
+
+        const { history } = await this.fetchHistory(quote.ticker, this.defaultChartRange);
+        const closes = history.map(bar => bar.close);
+        if (quote.price) closes[closes.length - 1] = quote.price;
+        if (closes.length < 2) return;
+
+        const ctx = canvas.getContext('2d');
+        const min = Math.min(...closes);
+        const max = Math.max(...closes);
+        const span = max - min || 1;
+        const padding = 2;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = closes[closes.length - 1] >= closes[0] ? '#10b981' : '#ef4444';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        closes.forEach((close, i) => {
+            const x = (i / (closes.length - 1)) * canvas.width;
+            const y = padding + (1 - (close - min) / span) * (canvas.height - padding * 2);
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Fetch quotes for the active watchlist one at a time (keeps provider rate limits happy)
+     */
+    async refreshWatchlistQuotes() {
+        const list = this.getActiveWatchlist();
+        if (!list) return;
+
+        for (const symbol of [...list.symbols]) {
+            await this.getQuote(symbol);
+        }
+    }
+
+    // Portfolio Functionality
+    initPortfolio() {
+        this.loadPortfolio();
+        this.setupPortfolioEvents();
+        this.renderPortfolio();
+    }
+
+    loadPortfolio() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.portfolioKey) || '[]');
+            this.portfolioLots = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading portfolio:', error);
+            this.portfolioLots = [];
+        }
+    }
+
+    savePortfolio() {
+        try {
+            localStorage.setItem(this.portfolioKey, JSON.stringify(this.portfolioLots));
+        } catch (error) {
+            console.error('Error saving portfolio:', error);
+        }
+    }
+
+    /**
+     * Add a purchase lot; returns the lot or null when the input is invalid
+     */
+    addLot({ ticker, shares, price, date, fees = 0 }) {
+        const symbol = (ticker || '').trim().toUpperCase();
+        shares = parseFloat(shares);
+        price = parseFloat(price);
+        fees = parseFloat(fees) || 0;
+
+        if (!symbol) {
+            this.showError(this.t('portfolio.needTicker'));
+            return null;
+        }
+        if (!shares || shares <= 0 || !price || price <= 0 || fees < 0) {
+            this.showError(this.t('portfolio.invalidLot'));
+            return null;
+        }
+
+        const lot = {
+            id: Date.now(),
+            ticker: symbol,
+            shares: shares,
+            price: price,
+            date: date || new Date().toISOString().slice(0, 10),
+            fees: fees
+        };
+
+        this.portfolioLots.push(lot);
+        this.savePortfolio();
+        this.renderPortfolio();
+        this.getQuote(symbol);
+        return lot;
+    }
+
+    removeLot(lotId) {
+        this.portfolioLots = this.portfolioLots.filter(lot => lot.id !== lotId);
+        this.savePortfolio();
+        this.renderPortfolio();
+    }
+
+    /**
+     * Roll lots up into positions with cost basis, P&L, day change and weight
+     */
+    calculatePortfolio() {
+        const today = new Date().toISOString().slice(0, 10);
+        const positions = {};
+
+        this.portfolioLots.forEach(lot => {
+            const quote = this.quoteCache[lot.ticker];
+            const position = positions[lot.ticker] || (positions[lot.ticker] = {
+                ticker: lot.ticker,
+                currency: this.getExchange(lot.ticker).currency,
+                quote: quote || null,
+                lots: [],
+                shares: 0,
+                costBasis: 0,
+                marketValue: 0,
+                dayChange: 0
+            });
+
+            const price = quote ? quote.price : lot.price;
+            position.lots.push(lot);
+            position.shares += lot.shares;
+            position.costBasis += lot.shares * lot.price + lot.fees;
+            position.marketValue += lot.shares * price;
+
+            // A lot bought today has only moved since its purchase price, not since yesterday's close
+            if (quote) {
+                position.dayChange += lot.date === today
+                    ? lot.shares * (quote.price - lot.price)
+                    : lot.shares * quote.change;
+            }
+        });
+
+        const list = Object.values(positions);
+
+        // Totals add up in the display currency, or in the listing currency when all positions share one
+        const currencies = [...new Set(list.map(position => position.currency))];
+        const totalsCurrency = this.displayCurrency || (currencies.length === 1 ? currencies[0] : null);
+        const toTotals = (value, position) => totalsCurrency ? this.convertCurrency(value, position.currency, totalsCurrency) : 0;
+
+        const totals = list.reduce((sum, position) => ({
+            costBasis: sum.costBasis + toTotals(position.costBasis, position),
+            marketValue: sum.marketValue + toTotals(position.marketValue, position),
+            dayChange: sum.dayChange + toTotals(position.dayChange, position)
+        }), { costBasis: 0, marketValue: 0, dayChange: 0 });
+        totals.currency = totalsCurrency;
+
+        list.forEach(position => {
+            position.averageCost = position.costBasis / position.shares;
+            position.gain = position.marketValue - position.costBasis;
+            position.gainPercent = position.costBasis ? (position.gain / position.costBasis) * 100 : 0;
+            position.weight = totals.currency && totals.marketValue
+                ? (toTotals(position.marketValue, position) / totals.marketValue) * 100
+                : null;
+        });
+
+        totals.gain = totals.marketValue - totals.costBasis;
+        totals.gainPercent = totals.costBasis ? (totals.gain / totals.costBasis) * 100 : 0;
+        totals.dayChangePercent = totals.marketValue - totals.dayChange
+            ? (totals.dayChange / (totals.marketValue - totals.dayChange)) * 100
+            : 0;
+
+        return { positions: list, totals };
+    }
+
+    setupPortfolioEvents() {
+        const section = document.getElementById('portfolio-section');
+        if (!section) return;
+
+        const form = document.getElementById('portfolio-add-form');
+        const dateInput = document.getElementById('portfolio-date');
+        dateInput.value = new Date().toISOString().slice(0, 10);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const lot = this.addLot({
+                ticker: document.getElementById('portfolio-ticker').value,
+                shares: document.getElementById('portfolio-shares').value,
+                price: document.getElementById('portfolio-price').value,
+                date: dateInput.value,
+                fees: document.getElementById('portfolio-fees').value
+            });
+            if (lot) {
+                form.reset();
+                dateInput.value = new Date().toISOString().slice(0, 10);
+            }
+        });
+
+        document.getElementById('portfolio-use-current').addEventListener('click', () => {
+            if (!this.currentStock) {
+                this.showError(this.t('error.needStock'));
+                return;
+            }
+            document.getElementById('portfolio-ticker').value = this.currentStock;
+            document.getElementById('portfolio-price').value = this.currentPrice.toFixed(2);
+        });
+
+        // Rows are re-rendered on every quote, so clicks are delegated
+        section.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove-lot]');
+            const row = e.target.closest('.portfolio-row');
+
+            if (remove) {
+                this.removeLot(parseInt(remove.dataset.removeLot));
+            } else if (row) {
+                this.elements.tickerInput.value = row.dataset.symbol;
+                this.fetchStockPrice();
+            }
+        });
+    }
+
+    renderPortfolio() {
+        const body = document.getElementById('portfolio-rows');
+        const summary = document.getElementById('portfolio-summary');
+        if (!body || !summary) return;
+
+        const { positions, totals } = this.calculatePortfolio();
+        const signed = (value, currency) => `${value >= 0 ? '+' : ''}${this.formatCurrency(value, currency)}`;
+        const signedPercent = (value) => this.formatPercent(value, { signed: true });
+        const tone = (value) => value >= 0 ? 'positive' : 'negative';
+
+        if (positions.length === 0) {
+            summary.classList.add('hidden');
+            body.innerHTML = `<tr><td colspan="8" class="portfolio-empty">${this.t('portfolio.empty')}</td></tr>`;
         } else {
-            return `${formattedDate} (${daysToEarnings} days)`;
+            summary.classList.remove('hidden');
+            const totalValueEl = document.getElementById('portfolio-total-value');
+            const gainEl = document.getElementById('portfolio-total-gain');
+            const dayEl = document.getElementById('portfolio-day-change');
+
+            if (totals.currency) {
+                totalValueEl.textContent = this.formatCurrency(totals.marketValue, totals.currency);
+                gainEl.textContent = `${signed(totals.gain, totals.currency)} (${signedPercent(totals.gainPercent)})`;
+                gainEl.className = tone(totals.gain);
+                dayEl.textContent = `${signed(totals.dayChange, totals.currency)} (${signedPercent(totals.dayChangePercent)})`;
+                dayEl.className = tone(totals.dayChange);
+            } else {
+                [totalValueEl, gainEl, dayEl].forEach(el => {
+                    el.textContent = this.t('portfolio.mixed');
+                    el.className = '';
+                });
+            }
+
+            body.innerHTML = positions.map(position => `
+                <tr class="portfolio-row" data-symbol="${position.ticker}" title="${this.t('common.loadSymbol', { symbol: position.ticker })}">
+                    <td class="portfolio-symbol">${position.ticker}</td>
+                    <td>${this.formatNumber(position.shares, { maximumFractionDigits: 4 })}</td>
+                    <td>${this.formatCurrency(position.averageCost, position.currency)}</td>
+                    <td>${position.quote ? this.formatCurrency(position.quote.price, position.currency) : '—'}</td>
+                    <td>${this.formatCurrency(position.marketValue, position.currency)}</td>
+                    <td class="${tone(position.gain)}">${signed(position.gain, position.currency)}<br><small>${signedPercent(position.gainPercent)}</small></td>
+                    <td class="${tone(position.dayChange)}">${signed(position.dayChange, position.currency)}</td>
+                    <td>${position.weight !== null ? this.formatPercent(position.weight, { digits: 1 }) : '—'}</td>
+                </tr>
+                ${position.lots.map(lot => `
+                    <tr class="portfolio-lot">
+                        <td colspan="7">${this.t(lot.fees ? 'portfolio.lotWithFees' : 'portfolio.lot', {
+                            shares: this.formatNumber(lot.shares, { maximumFractionDigits: 4 }),
+                            price: this.formatCurrency(lot.price, position.currency),
+                            date: lot.date,
+                            fees: lot.fees ? this.formatCurrency(lot.fees, position.currency) : ''
+                        })}</td>
+                        <td><button type="button" data-remove-lot="${lot.id}" aria-label="${this.t('portfolio.removeLot')}">✕</button></td>
+                    </tr>
+                `).join('')}
+            `).join('');
         }
+
+        this.updateProjectionHolding();
     }
 
-    // Generate realistic day's range
-    generateDayRange(currentPrice) {
-        const volatility = 0.03; // 3% daily volatility
-        const lowMultiplier = 1 - (Math.random() * volatility);
-        const highMultiplier = 1 + (Math.random() * volatility);
+    /**
+     * Show what the projected move means for the shares held in the loaded symbol
+     */
+    updateProjectionHolding(projectedPrice = this.lastProjectedPrice) {
+        const container = document.getElementById('projection-holding');
+        const display = document.getElementById('projected-holding-display');
+        if (!container || !display) return;
+
+        const position = this.calculatePortfolio().positions.find(p => p.ticker === this.currentStock);
+        if (!position || !projectedPrice) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const projectedValue = position.shares * projectedPrice;
+        const projectedGain = projectedValue - position.costBasis;
+        display.textContent = `${this.formatCurrency(projectedValue)} (${projectedGain >= 0 ? '+' : ''}${this.formatCurrency(projectedGain)} vs cost)`;
+        display.className = `difference-value ${projectedGain >= 0 ? 'positive' : 'negative'}`;
+        container.classList.remove('hidden');
+    }
+
+    // Options Functionality
+    initOptions() {
+        this.loadOptionLegs();
+        this.setupOptionsEvents();
+    }
+    
+    loadOptionLegs() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.optionLegsKey) || '{}');
+            this.optionLegs = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.error('Error loading option legs:', error);
+            this.optionLegs = {};
+        }
+    }
+    
+    saveOptionLegs() {
+        try {
+            localStorage.setItem(this.optionLegsKey, JSON.stringify(this.optionLegs));
+        } catch (error) {
+            console.error('Error saving option legs:', error);
+        }
+    }
+    
+    getCurrentOptionLegs() {
+        return this.optionLegs[this.currentStock] || [];
+    }
+    
+    /**
+     * Add a call or put leg on the loaded underlying; a blank premium is filled with the
+     * Black-Scholes value at the chosen volatility
+     */
+    addOptionLeg({ type, side, strike, expiry, premium, contracts }) {
+        if (!this.currentStock) {
+            this.showError(this.t('error.needStock'));
+            return null;
+        }
         
-        const rangeLow = currentPrice * lowMultiplier;
-        const rangeHigh = currentPrice * highMultiplier;
+        strike = parseFloat(strike);
+        contracts = parseInt(contracts);
+        const expiryTime = new Date(expiry).getTime();
+        if (!(strike > 0) || !(contracts > 0) || isNaN(expiryTime)) {
+            this.showError(this.t('options.invalidLeg'));
+            return null;
+        }
+        if (expiryTime < new Date(this.formatDateKey(this.now())).getTime()) {
+            this.showError(this.t('options.expired'));
+            return null;
+        }
+        
+        const leg = {
+            // Several legs can be added in the same millisecond (e.g. a multi-leg strategy in a loop)
+            id: Math.max(Date.now(), ...this.getCurrentOptionLegs().map(existing => existing.id + 1)),
+            type: type === 'put' ? 'put' : 'call',
+            side: side === 'sell' ? 'sell' : 'buy',
+            strike,
+            expiry,
+            contracts,
+            premium: 0
+        };
+        const { volatility, rate } = this.getOptionsSettings();
+        premium = parseFloat(premium);
+        leg.premium = premium >= 0
+            ? premium
+            : +this.getOptionLegValue(leg, this.currentPrice, new Date(this.formatDateKey(this.now())), volatility, rate).toFixed(2);
+        
+        this.optionLegs[this.currentStock] = [...this.getCurrentOptionLegs(), leg];
+        this.saveOptionLegs();
+        this.renderOptions();
+        return leg;
+    }
+    
+    removeOptionLeg(legId) {
+        const legs = this.getCurrentOptionLegs().filter(leg => leg.id !== legId);
+        if (legs.length > 0) {
+            this.optionLegs[this.currentStock] = legs;
+        } else {
+            delete this.optionLegs[this.currentStock];
+        }
+        this.saveOptionLegs();
+        this.renderOptions();
+    }
+    
+    setupOptionsEvents() {
+        const form = document.getElementById('option-leg-form');
+        const expiryInput = document.getElementById('option-expiry');
+        const evalDateInput = document.getElementById('option-eval-date');
+        const defaultExpiry = () => {
+            const expiry = this.now();
+            expiry.setDate(expiry.getDate() + 30);
+            return this.formatDateKey(expiry);
+        };
+        expiryInput.value = defaultExpiry();
+        evalDateInput.value = this.formatDateKey(this.now());
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const leg = this.addOptionLeg({
+                type: document.getElementById('option-type').value,
+                side: document.getElementById('option-side').value,
+                strike: document.getElementById('option-strike').value,
+                expiry: expiryInput.value,
+                premium: document.getElementById('option-premium').value,
+                contracts: document.getElementById('option-contracts').value
+            });
+            if (leg) {
+                document.getElementById('option-strike').value = '';
+                document.getElementById('option-premium').value = '';
+            }
+        });
+        
+        // Valuation inputs and the projection calculator's drop/rise move re-price the legs
+        ['option-eval-date', 'option-iv', 'option-rate', 'projection-type', 'projection-percentage'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderOptions());
+        });
+        
+        document.getElementById('option-legs-rows').addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove-leg]');
+            if (remove) {
+                this.removeOptionLeg(parseInt(remove.dataset.removeLeg));
+            }
+        });
+    }
+    
+    /**
+     * Valuation date, implied volatility and risk-free rate (as fractions) from the panel
+     */
+    getOptionsSettings() {
+        const evalDate = new Date(document.getElementById('option-eval-date').value);
+        return {
+            evalDate: isNaN(evalDate.getTime()) ? new Date(this.formatDateKey(this.now())) : evalDate,
+            volatility: Math.max(0, parseFloat(document.getElementById('option-iv').value) || 0) / 100,
+            rate: (parseFloat(document.getElementById('option-rate').value) || 0) / 100
+        };
+    }
+    
+    /**
+     * Standard normal cumulative distribution (Abramowitz & Stegun 26.2.17, error < 7.5e-8)
+     */
+    normalCdf(x) {
+        const t = 1 / (1 + 0.2316419 * Math.abs(x));
+        const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+        const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+        return x >= 0 ? 1 - tail : tail;
+    }
+    
+    /**
+     * Black-Scholes price of a European call or put (no dividends); intrinsic value at expiry
+     */
+    blackScholesPrice({ type, spot, strike, years, volatility, rate }) {
+        const intrinsic = type === 'call' ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+        if (years <= 0 || volatility <= 0 || spot <= 0) {
+            // Without time or volatility the option is worth its discounted intrinsic value
+            return years > 0
+                ? Math.max(0, type === 'call' ? spot - strike * Math.exp(-rate * years) : strike * Math.exp(-rate * years) - spot)
+                : intrinsic;
+        }
+        
+        const sqrtYears = Math.sqrt(years);
+        const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * years) / (volatility * sqrtYears);
+        const d2 = d1 - volatility * sqrtYears;
+        const discountedStrike = strike * Math.exp(-rate * years);
+        
+        return type === 'call'
+            ? spot * this.normalCdf(d1) - discountedStrike * this.normalCdf(d2)
+            : discountedStrike * this.normalCdf(-d2) - spot * this.normalCdf(-d1);
+    }
+    
+    /**
+     * Per-share value of a leg for an underlying price on a date (null date = at the leg's expiry)
+     */
+    getOptionLegValue(leg, spot, date, volatility, rate) {
+        const years = date ? Math.max(0, (new Date(leg.expiry).getTime() - date.getTime()) / (365.25 * 24 * 60 * 60 * 1000)) : 0;
+        return this.blackScholesPrice({ type: leg.type, spot, strike: leg.strike, years, volatility, rate });
+    }
+    
+    /**
+     * Position P&L of a leg: contracts × contract size × (value - premium), negated for written options
+     */
+    getOptionLegPnl(leg, value) {
+        const sign = leg.side === 'sell' ? -1 : 1;
+        return sign * leg.contracts * this.optionContractSize * (value - leg.premium);
+    }
+    
+    getOptionsPnl(legs, spot, date, volatility, rate) {
+        return legs.reduce((total, leg) => total + this.getOptionLegPnl(leg, this.getOptionLegValue(leg, spot, date, volatility, rate)), 0);
+    }
+    
+    /**
+     * Underlying price for the P&L table: the projection calculator's drop/rise move when valid
+     */
+    getOptionsUnderlying() {
+        const type = document.getElementById('projection-type').value;
+        const percentage = parseFloat(document.getElementById('projection-percentage').value);
+        if (!(percentage > 0) || (type === 'drop' && percentage > 100)) {
+            return { price: this.currentPrice, move: 0 };
+        }
+        
+        const move = type === 'drop' ? -percentage : percentage;
+        return { price: this.currentPrice * (1 + move / 100), move };
+    }
+    
+    renderOptions() {
+        const body = document.getElementById('option-legs-rows');
+        if (!body || !this.currentPrice) return;
+        
+        const currency = this.getExchange().currency;
+        document.getElementById('option-strike').placeholder = this.currentPrice.toFixed(2);
+        document.querySelectorAll('.option-currency').forEach(unit => { unit.textContent = currency; });
+        
+        const legs = this.getCurrentOptionLegs();
+        const { evalDate, volatility, rate } = this.getOptionsSettings();
+        const underlying = this.getOptionsUnderlying();
+        const evalLabel = this.formatDate(evalDate, { dateStyle: 'medium', timeZone: 'UTC' });
+        
+        document.getElementById('options-underlying').textContent = this.t(underlying.move ? 'options.underlyingMove' : 'options.underlyingCurrent', {
+            symbol: this.currentStock,
+            price: this.formatCurrency(underlying.price, currency),
+            move: this.formatPercent(underlying.move, { signed: true }),
+            date: evalLabel
+        });
+        document.getElementById('options-theoretical-heading').textContent = this.t('options.theoreticalOn', { date: evalLabel });
+        
+        const signed = (value) => `${value >= 0 ? '+' : ''}${this.formatCurrency(value, currency)}`;
+        const tone = (value) => value >= 0 ? 'positive' : 'negative';
+        
+        if (legs.length === 0) {
+            body.innerHTML = `<tr><td colspan="8" class="portfolio-empty">${this.t('options.empty', { symbol: this.currentStock })}</td></tr>`;
+        } else {
+            let expiryTotal = 0;
+            let theoreticalTotal = 0;
+            body.innerHTML = legs.map(leg => {
+                const expiryValue = this.getOptionLegValue(leg, underlying.price, null, volatility, rate);
+                const theoreticalValue = this.getOptionLegValue(leg, underlying.price, evalDate, volatility, rate);
+                const expiryPnl = this.getOptionLegPnl(leg, expiryValue);
+                const theoreticalPnl = this.getOptionLegPnl(leg, theoreticalValue);
+                expiryTotal += expiryPnl;
+                theoreticalTotal += theoreticalPnl;
+                
+                return `
+                    <tr>
+                        <td class="portfolio-symbol">${this.t('options.legLabel', {
+                            count: leg.contracts,
+                            side: this.t(`options.${leg.side}`),
+                            contracts: leg.contracts,
+                            type: this.t(`options.${leg.type}`),
+                            strike: this.formatCurrency(leg.strike, currency)
+                        })}</td>
+                        <td>${this.formatDate(leg.expiry, { dateStyle: 'medium', timeZone: 'UTC' })}</td>
+                        <td>${this.formatCurrency(leg.premium, currency)}</td>
+                        <td>${this.formatCurrency(expiryValue, currency)}</td>
+                        <td class="${tone(expiryPnl)}">${signed(expiryPnl)}</td>
+                        <td>${this.formatCurrency(theoreticalValue, currency)}</td>
+                        <td class="${tone(theoreticalPnl)}">${signed(theoreticalPnl)}</td>
+                        <td><button type="button" data-remove-leg="${leg.id}" aria-label="${this.t('options.removeLeg')}">✕</button></td>
+                    </tr>
+                `;
+            }).join('') + `
+                <tr class="option-total">
+                    <td colspan="4">${this.t('options.total')}</td>
+                    <td class="${tone(expiryTotal)}">${signed(expiryTotal)}</td>
+                    <td></td>
+                    <td class="${tone(theoreticalTotal)}">${signed(theoreticalTotal)}</td>
+                    <td></td>
+                </tr>
+            `;
+        }
+        
+        this.createOptionsChart(legs, underlying, { evalDate, volatility, rate }, currency);
+    }
+    
+    /**
+     * Payoff diagram: P&L at expiry and the Black-Scholes P&L on the valuation date across
+     * underlying prices from half to one and a half times the current price
+     */
+    createOptionsChart(legs, underlying, { evalDate, volatility, rate }, currency) {
+        const canvas = document.getElementById('options-chart');
+        if (!canvas) return;
+        if (this.optionsChart) {
+            this.optionsChart.destroy();
+            this.optionsChart = null;
+        }
+        document.getElementById('options-chart-container').classList.toggle('hidden', legs.length === 0);
+        if (legs.length === 0) return;
+        
+        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+        const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDark ? '#cbd5e1' : '#374151';
+        const formatPrice = (value) => this.formatCurrency(value, currency);
         
-        return {
-            low: Math.min(rangeLow, currentPrice),
-            high: Math.max(rangeHigh, currentPrice)
-        };
-    }
-
-    // Format volume numbers
-    formatVolume(volume) {
-        if (!volume || isNaN(volume)) return 'N/A';
+        // Include every strike and the projected price in the plotted span
+        const low = Math.min(this.currentPrice * 0.5, underlying.price, ...legs.map(leg => leg.strike * 0.9));
+        const high = Math.max(this.currentPrice * 1.5, underlying.price, ...legs.map(leg => leg.strike * 1.1));
+        const points = 80;
+        const prices = Array.from({ length: points + 1 }, (_, i) => low + (high - low) * i / points);
+        const pnlAt = (spot, date) => this.getOptionsPnl(legs, spot, date, volatility, rate);
         
-        if (volume >= 1000000) {
-            return (volume / 1000000).toFixed(1) + 'M';
-        } else if (volume >= 1000) {
-            return (volume / 1000).toFixed(1) + 'K';
+        try {
+            this.optionsChart = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    datasets: [{
+                        label: this.t('options.atExpiry'),
+                        data: prices.map(spot => ({ x: spot, y: pnlAt(spot, null) })),
+                        borderColor: '#667eea',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        tension: 0
+                    }, {
+                        label: this.t('options.theoreticalOn', { date: this.formatDate(evalDate, { dateStyle: 'medium', timeZone: 'UTC' }) }),
+                        data: prices.map(spot => ({ x: spot, y: pnlAt(spot, evalDate) })),
+                        borderColor: '#f59e0b',
+                        borderDash: [6, 3],
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        tension: 0.2
+                    }, {
+                        type: 'scatter',
+                        label: this.t('options.underlying'),
+                        data: [{ x: underlying.price, y: pnlAt(underlying.price, evalDate) }],
+                        backgroundColor: '#10b981',
+                        pointRadius: 6
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    interaction: { intersect: false, mode: 'nearest', axis: 'x' },
+                    plugins: {
+                        legend: { display: true, labels: { color: textColor, boxWidth: 12 } },
+                        tooltip: {
+                            callbacks: {
+                                title: (items) => formatPrice(items[0].parsed.x),
+                                label: (context) => `${context.dataset.label}: ${context.parsed.y >= 0 ? '+' : ''}${formatPrice(context.parsed.y)}`
+                            }
+                        }
+                    },
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            min: low,
+                            max: high,
+                            title: { display: true, text: this.t('options.underlyingAxis'), color: textColor },
+                            grid: { color: gridColor },
+                            ticks: { color: textColor, maxTicksLimit: 8, callback: formatPrice }
+                        },
+                        y: {
+                            title: { display: true, text: this.t('options.pnlAxis'), color: textColor },
+                            grid: { color: gridColor },
+                            ticks: { color: textColor, callback: formatPrice }
+                        }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error creating options chart:', error);
         }
-        return volume.toString();
     }
-
+    
     // Recent Searches Functionality
     initRecentSearches() {
         this.loadRecentSearches();
@@ -1403,10 +4956,43 @@ class StockPriceCalculator {
         this.priceChart.options.scales.y.ticks.color = textColor;
         this.priceChart.options.scales.x.title.color = textColor;
         this.priceChart.options.scales.y.title.color = textColor;
+        if (this.priceChart.options.plugins.legend.labels) {
+            this.priceChart.options.plugins.legend.labels.color = textColor;
+        }
         
         // Update chart
         this.priceChart.update('none'); // No animation for theme changes
         
+        // Compared symbols take their line colours from the theme's palette
+        if (this.compareSymbols.length > 0 && this.currentPriceHistory) {
+            this.createPriceChart(this.currentPriceHistory);
+        }
+        
+        // Volume and indicator sub-panels
+        
+        [this.volumeChart, this.rsiChart, this.macdChart].forEach(chart => {
+            if (!chart) return;
+            chart.options.scales.y.grid.color = gridColor;
+            chart.options.scales.y.ticks.color = textColor;
+            if (chart.options.plugins.legend.labels) {
+                chart.options.plugins.legend.labels.color = textColor;
+            }
+            chart.update('none');
+        });
+        
+        // Growth projection and option payoff charts
+        [this.growthChart, this.optionsChart].forEach(chart => {
+            if (!chart) return;
+            Object.values(chart.options.scales).forEach(scale => {
+                if (scale.grid) scale.grid.color = gridColor;
+                scale.ticks.color = textColor;
+                if (scale.title) scale.title.color = textColor;
+            });
+            chart.options.plugins.legend.labels.color = textColor;
+            if (chart.options.plugins.title) chart.options.plugins.title.color = textColor;
+            chart.update('none');
+        });
+        
         console.log(`Chart theme updated to: ${theme}`);
     }
     
@@ -1498,6 +5084,9 @@ class StockPriceCalculator {
     displayStockData(symbol, stockData) {
         console.log(`displayStockData called: ${symbol} = $${stockData.currentPrice || stockData}`);
         
+        // Status bar, refresh cadence and currency follow the loaded symbol's exchange
+        this.updateMarketStatus();
+        
         // Add to recent searches if it's valid stock data
         if (typeof stockData === 'object' && stockData.name) {
             this.addRecentSearch(symbol, stockData);
@@ -1542,7 +5131,7 @@ class StockPriceCalculator {
                 const changeClass = isPositive ? 'positive' : 'negative';
                 
                 dailyChangeValueEl.textContent = `${isPositive ? '+' : ''}${this.formatCurrency(stockData.dailyChange)}`;
-                dailyChangePercentEl.textContent = `(${isPositive ? '+' : ''}${stockData.dailyChangePercent.toFixed(2)}%)`;
+                dailyChangePercentEl.textContent = `(${this.formatPercent(stockData.dailyChangePercent, { signed: true })})`;
                 
                 // Apply color classes
                 dailyChangeValueEl.className = `change-value ${changeClass}`;
@@ -1595,9 +5184,12 @@ class StockPriceCalculator {
                 }
             } else if (earningsDateEl) {
                 console.log('Setting earnings to TBD - no earnings date found');
-                earningsDateEl.textContent = 'TBD';
+                earningsDateEl.textContent = this.t('stock.tbd');
             }
             
+            // Dividend, yield and the next ex/pay dates sit next to the earnings date
+            this.updateDividendDisplay(stockData);
+            
             // Update additional financial metrics
             const dayRangeEl = document.getElementById('day-range');
             const volumeEl = document.getElementById('volume');
@@ -1628,11 +5220,13 @@ class StockPriceCalculator {
             
             if (marketCapEl) {
                 console.log('Setting market cap:', stockData.marketCap);
-                marketCapEl.textContent = stockData.marketCap || 'N/A';
+                marketCapEl.textContent = stockData.marketCap
+                    ? this.formatCurrency(stockData.marketCap, undefined, { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 })
+                    : 'N/A';
             }
             
             if (peRatioEl) {
-                const peText = stockData.peRatio ? stockData.peRatio.toFixed(1) : 'N/A';
+                const peText = stockData.peRatio ? this.formatNumber(stockData.peRatio, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) : 'N/A';
                 console.log('Setting P/E ratio:', peText);
                 peRatioEl.textContent = peText;
             }
@@ -1641,24 +5235,28 @@ class StockPriceCalculator {
                 if (stockData.targetPrice) {
                     const targetText = this.formatCurrency(stockData.targetPrice);
                     const upside = ((stockData.targetPrice - stockData.currentPrice) / stockData.currentPrice * 100);
-                    const upsideText = upside >= 0 ? `+${upside.toFixed(1)}%` : `${upside.toFixed(1)}%`;
+                    const upsideText = this.formatPercent(upside, { digits: 1, signed: true });
                     const fullTargetText = `${targetText} (${upsideText})`;
                     console.log('Setting target price:', fullTargetText);
                     targetPriceEl.textContent = fullTargetText;
                 } else {
-                    targetPriceEl.textContent = 'N/A';
+                    targetPriceEl.textContent = this.t('common.na');
                 }
             }
             
-            // Create price history chart
+            // Create price history chart for the selected range
             if (stockData.priceHistory && stockData.priceHistory.length > 0) {
                 setTimeout(() => {
-                    this.createPriceChart(stockData.priceHistory);
+                    this.loadChartRange(this.selectedRange);
                 }, 100); // Small delay to ensure DOM is ready
             }
             
             // Store the current price for calculations
             this.currentPrice = stockData.currentPrice;
+            
+            // Share the displayed quote with watchlists and other per-symbol views
+            this.recordQuote(this.buildQuoteFromStockData(stockData));
+            this.refreshFxRates();
         }
         
         // Make stock display visible first
@@ -1669,7 +5267,7 @@ class StockPriceCalculator {
         if (typeof stockData === 'number') {
             this.updateDataIndicator(false); // Old format - always demo
         } else {
-            this.updateDataIndicator(stockData.isLiveData); // Enhanced format
+            this.updateDataIndicator(stockData.isLiveData, stockData.dataSource); // Enhanced format
         }
         
         // Fallback: Ensure last-updated text is visible (in case updateDataIndicator fails)
@@ -1688,7 +5286,7 @@ class StockPriceCalculator {
                 
                 if (!lastUpdatedEl.textContent || lastUpdatedEl.textContent.trim() === '' || lastUpdatedEl.textContent === 'Updated: Sept 14, 2025') {
                     console.warn('Last updated field needs fallback, applying fix');
-                    lastUpdatedEl.textContent = `Updated: ${new Date().toLocaleTimeString()}`;
+                    lastUpdatedEl.textContent = `Updated: ${this.formatDate(new Date(), { timeStyle: 'medium' })}`;
                 }
                 
                 // Force visibility regardless
@@ -1717,6 +5315,11 @@ class StockPriceCalculator {
         
         // Calculate initial projection (default 5% rise)
         this.calculateProjection();
+        this.calculateRequiredMove();
+        this.renderScenarioTable();
+        this.calculateGrowthProjection();
+        this.calculateTradePlan();
+        this.renderOptions();
     }
     
     /**
@@ -1734,7 +5337,7 @@ class StockPriceCalculator {
         
         if (!this.currentPrice || this.currentPrice <= 0) {
             document.getElementById('projection-result').classList.add('hidden');
-            this.showProjectionNotice('Please enter a stock ticker first to calculate projections');
+            this.showProjectionNotice(this.t('projection.needTicker'));
             return;
         }
         
@@ -1744,9 +5347,10 @@ class StockPriceCalculator {
         
         console.log('Projection inputs:', { projectionType, percentage, currentPrice: this.currentPrice });
         
-        if (!percentage || percentage <= 0 || percentage > 100) {
+        // Rises are unbounded; a drop can at most take the price to zero
+        if (!percentage || percentage <= 0 || (projectionType === 'drop' && percentage > 100)) {
             document.getElementById('projection-result').classList.add('hidden');
-            this.showProjectionNotice('Please enter a valid percentage between 1 and 100');
+            this.showProjectionNotice(this.t(projectionType === 'drop' ? 'projection.invalidDrop' : 'projection.invalidPercent'));
             return;
         }
         
@@ -1774,7 +5378,7 @@ class StockPriceCalculator {
         
         // Update values
         changeDisplay.textContent = `${projectionType === 'drop' ? '-' : '+'}${percentage}%`;
-        typeDisplay.textContent = projectionType === 'drop' ? 'Price Drop' : 'Price Rise';
+        typeDisplay.textContent = this.t(projectionType === 'drop' ? 'projection.drop' : 'projection.rise');
         priceDisplay.textContent = this.formatCurrency(projectedPrice);
         diffDisplay.textContent = `${difference >= 0 ? '+' : ''}${this.formatCurrency(difference)}`;
         
@@ -1790,6 +5394,12 @@ class StockPriceCalculator {
             diffDisplay.classList.add('negative');
         }
         
+        // Show what the move means for the sized position and any shares held in this symbol
+        this.lastProjectedPrice = projectedPrice;
+        this.updateProjectionPosition(projectedPrice);
+        this.updateProjectionHolding(projectedPrice);
+        this.updateProjectionTotalReturn(multiplier);
+        
         // Show result
         document.getElementById('projection-result').classList.remove('hidden');
         
@@ -1817,6 +5427,639 @@ class StockPriceCalculator {
         }
     }
     
+    /**
+     * Percent move needed to go from one price to another
+     */
+    getRequiredMovePercent(fromPrice, toPrice) {
+        return (toPrice / fromPrice - 1) * 100;
+    }
+    
+    /**
+     * Percent gain needed to undo a percent decline, e.g. -50% needs +100%
+     */
+    getRecoveryPercent(drawdownPercent) {
+        return (1 / (1 - drawdownPercent / 100) - 1) * 100;
+    }
+    
+    /**
+     * Reverse calculator: the move required to reach a target price, plus drawdown recovery
+     */
+    calculateRequiredMove() {
+        const targetInput = document.getElementById('reverse-target');
+        const drawdownInput = document.getElementById('drawdown-percent');
+        const reverseResult = document.getElementById('reverse-result');
+        const drawdownResult = document.getElementById('drawdown-result');
+        if (!targetInput || !drawdownInput || !reverseResult || !drawdownResult) return;
+        
+        const currency = this.getExchange().currency;
+        document.getElementById('reverse-target-unit').textContent = currency;
+        this.updateReversePresets();
+        
+        // Target prices are entered in the listing's currency, like alert levels
+        const target = parseFloat(targetInput.value);
+        if (!this.currentPrice || !target || target <= 0) {
+            reverseResult.textContent = this.t('reverse.enterTarget');
+            reverseResult.className = 'reverse-result';
+        } else {
+            const percent = this.getRequiredMovePercent(this.currentPrice, target);
+            reverseResult.textContent = this.t('reverse.required', {
+                target: this.formatCurrency(target, currency),
+                current: this.formatCurrency(this.currentPrice, currency),
+                percent: this.formatPercent(percent, { signed: true }),
+                difference: `${target >= this.currentPrice ? '+' : ''}${this.formatCurrency(target - this.currentPrice, currency)}`
+            });
+            reverseResult.className = `reverse-result ${percent >= 0 ? 'positive' : 'negative'}`;
+        }
+        
+        const drawdown = parseFloat(drawdownInput.value);
+        if (!(drawdown > 0 && drawdown < 100)) {
+            drawdownResult.textContent = this.t('reverse.invalidDrawdown');
+            return;
+        }
+        drawdownResult.textContent = this.t('reverse.recovery', {
+            drawdown: this.formatPercent(drawdown),
+            gain: this.formatPercent(this.getRecoveryPercent(drawdown), { signed: true })
+        });
+    }
+    
+    /**
+     * Enable the analyst target / 52-week presets the loaded symbol has values for
+     */
+    updateReversePresets() {
+        const stockData = this.currentStockData || {};
+        document.querySelectorAll('[data-reverse-preset]').forEach(button => {
+            button.disabled = !stockData[button.dataset.reversePreset];
+        });
+    }
+    
+    /**
+     * Shares in the hypothetical position, from either a share count or an amount to invest
+     */
+    getPositionShares() {
+        const size = parseFloat(document.getElementById('position-size').value);
+        if (!size || size <= 0 || !this.currentPrice) return null;
+        
+        return document.getElementById('position-mode').value === 'amount' ? size / this.currentPrice : size;
+    }
+    
+    /**
+     * Position value and P&L rows in the projection card
+     */
+    updateProjectionPosition(projectedPrice = this.lastProjectedPrice) {
+        const container = document.getElementById('projection-position');
+        if (!container) return;
+        
+        const shares = this.getPositionShares();
+        if (!shares || !projectedPrice) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const pnl = shares * (projectedPrice - this.currentPrice);
+        const pnlDisplay = document.getElementById('projected-position-pnl-display');
+        document.getElementById('projected-position-value-display').textContent = this.t('position.valueOf', {
+            value: this.formatCurrency(shares * projectedPrice),
+            shares: this.formatNumber(shares, { maximumFractionDigits: 4 })
+        });
+        pnlDisplay.textContent = `${pnl >= 0 ? '+' : ''}${this.formatCurrency(pnl)}`;
+        pnlDisplay.className = `difference-value ${pnl >= 0 ? 'positive' : 'negative'}`;
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * Total return over the next 12 months: the projected move with a year of dividends
+     * reinvested at the trailing yield
+     */
+    updateProjectionTotalReturn(multiplier) {
+        const container = document.getElementById('projection-total-return');
+        const toggle = document.getElementById('projection-dividends');
+        if (!container || !toggle) return;
+        
+        const dividendYield = this.getDividendYield();
+        toggle.disabled = dividendYield === 0;
+        if (!toggle.checked || dividendYield === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const totalReturn = (multiplier * (1 + dividendYield / 100) - 1) * 100;
+        const amount = this.currentPrice * totalReturn / 100;
+        const display = document.getElementById('projected-total-return-display');
+        display.textContent = this.t('projection.totalReturnValue', {
+            percent: this.formatPercent(totalReturn, { signed: true }),
+            amount: `${amount >= 0 ? '+' : ''}${this.formatCurrency(amount)}`,
+            yield: this.formatPercent(dividendYield)
+        });
+        display.className = `difference-value ${totalReturn >= 0 ? 'positive' : 'negative'}`;
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * Ladder range and step from the inputs. The inputs' min is not enforced while typing, so
+     * zero or negative values fall back to the defaults and tiny steps are raised to the minimum.
+     */
+    getScenarioSettings() {
+        const range = parseFloat(document.getElementById('scenario-range').value);
+        const step = parseFloat(document.getElementById('scenario-step').value);
+        return {
+            range: range > 0 ? range : this.scenarioLadder.range,
+            step: step > 0 ? Math.max(this.scenarioLadder.minStep, step) : this.scenarioLadder.step
+        };
+    }
+    
+    /**
+     * Ladder of percent moves around the current price, e.g. -20% to +20% in 5% steps
+     */
+    getScenarioLadder() {
+        const { range, step } = this.getScenarioSettings();
+        const shares = this.getPositionShares();
+        const rows = [];
+        
+        // Integer step count avoids float drift (0.1 + 0.2) and is capped so a wide range stays
+        // a readable table; moves of 100% down or more are skipped
+        const steps = Math.min(this.scenarioLadder.maxSteps, Math.floor(range / step + 1e-9));
+        for (let i = -steps; i <= steps; i++) {
+            const move = +(i * step).toFixed(6);
+            if (move <= -100) continue;
+            
+            const price = this.currentPrice * (1 + move / 100);
+            rows.push({
+                move,
+                price,
+                change: price - this.currentPrice,
+                positionValue: shares ? shares * price : null,
+                positionPnl: shares ? shares * (price - this.currentPrice) : null
+            });
+        }
+        return rows;
+    }
+    
+    renderScenarioTable() {
+        const body = document.getElementById('scenario-rows');
+        if (!body || !this.currentPrice) return;
+        
+        const currency = this.getExchange().currency;
+        document.getElementById('position-mode-amount').textContent = this.t('position.amount', { currency });
+        
+        const rows = this.getScenarioLadder();
+        const hasPosition = rows.length > 0 && rows[0].positionValue !== null;
+        document.getElementById('scenario-table').classList.toggle('no-position', !hasPosition);
+        
+        // Show as many decimals as the step has (5 -> "+5%", 2.5 -> "+2.5%"), up to two
+        const digits = Math.min(2, ((String(this.getScenarioSettings().step).split('.')[1]) || '').length);
+        const signed = (value) => `${value >= 0 ? '+' : ''}${this.formatCurrency(value, currency)}`;
+        body.innerHTML = rows.map(row => `
+            <tr class="${row.move > 0 ? 'positive' : row.move < 0 ? 'negative' : 'current'}">
+                <td>${this.formatPercent(row.move, { digits, signed: true })}</td>
+                <td>${this.formatCurrency(row.price, currency)}</td>
+                <td>${signed(row.change)}</td>
+                <td class="position-column">${hasPosition ? this.formatCurrency(row.positionValue, currency) : ''}</td>
+                <td class="position-column">${hasPosition ? signed(row.positionPnl) : ''}</td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Download the scenario ladder for the loaded ticker as CSV (listing-currency values)
+     */
+    exportScenarios() {
+        if (!this.currentStock || !this.currentPrice) {
+            this.showError(this.t('error.needStock'));
+            return;
+        }
+        
+        const currency = this.getExchange().currency;
+        const rows = this.getScenarioLadder();
+        const hasPosition = rows.length > 0 && rows[0].positionValue !== null;
+        const header = [
+            `${this.t('scenario.move')} (%)`,
+            `${this.t('scenario.price')} (${currency})`,
+            `${this.t('scenario.change')} (${currency})`
+        ];
+        if (hasPosition) {
+            header.push(`${this.t('scenario.positionValue')} (${currency})`, `${this.t('scenario.positionPnl')} (${currency})`);
+        }
+        
+        this.downloadCsv([
+            header,
+            ...rows.map(row => [
+                row.move,
+                row.price.toFixed(4),
+                row.change.toFixed(4),
+                ...(hasPosition ? [row.positionValue.toFixed(2), row.positionPnl.toFixed(2)] : [])
+            ])
+        ], `${this.currentStock}-scenarios-${new Date().toISOString().slice(0, 10)}.csv`);
+    }
+    
+    /**
+     * Compound annual growth rate between two values, as a percent
+     */
+    calculateCagr(startValue, endValue, years) {
+        if (!(startValue > 0) || !(endValue > 0) || !(years > 0)) return null;
+        return (Math.pow(endValue / startValue, 1 / years) - 1) * 100;
+    }
+    
+    /**
+     * CAGR of the series shown in the price chart, first to last close
+     */
+    getHistoryCagr() {
+        const history = this.currentPriceHistory;
+        if (!history || history.length < 2) return null;
+        
+        const time = (bar) => bar.timestamp || new Date(bar.date).getTime();
+        const first = history[0];
+        const last = history[history.length - 1];
+        const years = (time(last) - time(first)) / (365.25 * 24 * 60 * 60 * 1000);
+        return this.calculateCagr(first.close, last.close, years);
+    }
+    
+    /**
+     * Year-by-year path: price compounds at the annual rate; the position also adds the
+     * contribution at the end of each year. Reinvested dividends grow the share count by the
+     * yield each year, which shows up in the position value and the total return.
+     */
+    getGrowthProjection({ price, rate, years, startValue, contribution, dividendYield = 0 }) {
+        const growth = 1 + rate / 100;
+        const totalGrowth = growth * (1 + dividendYield / 100);
+        const rows = [{ year: 0, price, value: startValue, contributed: startValue, totalReturn: 0 }];
+        
+        for (let year = 1; year <= years; year++) {
+            const previous = rows[year - 1];
+            rows.push({
+                year,
+                price: previous.price * growth,
+                value: previous.value * totalGrowth + contribution,
+                contributed: previous.contributed + contribution,
+                totalReturn: (Math.pow(totalGrowth, year) - 1) * 100
+            });
+        }
+        return rows;
+    }
+    
+    calculateGrowthProjection() {
+        const body = document.getElementById('growth-rows');
+        if (!body || !this.currentPrice) return;
+        
+        const currency = this.getExchange().currency;
+        const rate = parseFloat(document.getElementById('growth-rate').value) || 0;
+        const years = Math.min(50, Math.max(1, parseInt(document.getElementById('growth-years').value) || 1));
+        
+        // A yearly loss of 100% or more would take the price to zero or below in the first year
+        if (rate <= -100) {
+            body.innerHTML = '';
+            document.getElementById('growth-summary').textContent = this.t('growth.invalidRate');
+            document.getElementById('growth-chart-container').classList.add('hidden');
+            if (this.growthChart) {
+                this.growthChart.destroy();
+                this.growthChart = null;
+            }
+            this.updateHistoryCagrButton();
+            this.calculateImpliedCagr();
+            return;
+        }
+        
+        const contribution = Math.max(0, parseFloat(document.getElementById('growth-contribution').value) || 0);
+        const shares = this.getPositionShares();
+        const dividendYield = document.getElementById('projection-dividends').checked ? this.getDividendYield() : 0;
+        const rows = this.getGrowthProjection({
+            price: this.currentPrice,
+            rate,
+            years,
+            startValue: shares ? shares * this.currentPrice : 0,
+            contribution,
+            dividendYield
+        });
+        
+        // The position columns only mean something with a sized position or contributions
+        const hasPosition = rows[0].value > 0 || contribution > 0;
+        const startYear = this.now().getFullYear();
+        const last = rows[rows.length - 1];
+        
+        document.getElementById('growth-table').classList.toggle('no-position', !hasPosition);
+        document.getElementById('growth-table').classList.toggle('no-dividends', !dividendYield);
+        body.innerHTML = rows.map(row => `
+            <tr class="${row.year === 0 ? 'current' : ''}">
+                <td>${startYear + row.year}</td>
+                <td>${this.formatCurrency(row.price, currency)}</td>
+                <td class="dividend-column">${this.formatPercent(row.totalReturn, { digits: 1, signed: true })}</td>
+                <td class="position-column">${hasPosition ? this.formatCurrency(row.value, currency) : ''}</td>
+                <td class="position-column">${hasPosition ? this.formatCurrency(row.contributed, currency) : ''}</td>
+            </tr>
+        `).join('');
+        
+        const summaries = [this.t('growth.summary', {
+            count: years,
+            years,
+            rate: this.formatPercent(rate, { digits: 1 }),
+            price: this.formatCurrency(last.price, currency),
+            change: this.formatPercent(this.getRequiredMovePercent(this.currentPrice, last.price), { digits: 1, signed: true })
+        })];
+        if (dividendYield) {
+            summaries.push(this.t('growth.dividendSummary', {
+                yield: this.formatPercent(dividendYield),
+                total: this.formatPercent(last.totalReturn, { digits: 1, signed: true })
+            }));
+        }
+        if (hasPosition) {
+            summaries.push(this.t('growth.positionSummary', {
+                value: this.formatCurrency(last.value, currency),
+                contributed: this.formatCurrency(last.contributed, currency)
+            }));
+        }
+        document.getElementById('growth-summary').textContent = summaries.join(' ');
+        
+        this.createGrowthChart(rows.map(row => startYear + row.year), rows, hasPosition, currency);
+        this.updateHistoryCagrButton();
+        this.calculateImpliedCagr();
+    }
+    
+    /**
+     * Chart the projected price path under the price chart, with the position value on a second axis
+     */
+    createGrowthChart(labels, rows, hasPosition, currency) {
+        const canvas = document.getElementById('growth-chart');
+        if (!canvas) return;
+        if (this.growthChart) {
+            this.growthChart.destroy();
+        }
+        document.getElementById('growth-chart-container').classList.remove('hidden');
+        
+        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+        const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDark ? '#cbd5e1' : '#374151';
+        const formatPrice = (value) => this.formatCurrency(value, currency);
+        const datasets = [{
+            label: this.t('scenario.price'),
+            data: rows.map(row => row.price),
+            borderColor: '#667eea',
+            backgroundColor: 'rgba(102, 126, 234, 0.1)',
+            fill: true,
+            tension: 0.2,
+            yAxisID: 'y'
+        }];
+        if (hasPosition) {
+            datasets.push({
+                label: this.t('scenario.positionValue'),
+                data: rows.map(row => row.value),
+                borderColor: '#10b981',
+                borderDash: [6, 3],
+                fill: false,
+                tension: 0.2,
+                yAxisID: 'y1'
+            });
+        }
+        
+        try {
+            this.growthChart = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: { labels, datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    interaction: { intersect: false, mode: 'index' },
+                    plugins: {
+                        title: { display: true, text: this.t('growth.title'), color: textColor },
+                        legend: { display: true, labels: { color: textColor, boxWidth: 12 } },
+                        tooltip: {
+                            callbacks: {
+                                label: (context) => `${context.dataset.label}: ${formatPrice(context.parsed.y)}`
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { grid: { display: false }, ticks: { color: textColor } },
+                        y: {
+                            position: 'left',
+                            grid: { color: gridColor },
+                            ticks: { color: textColor, callback: formatPrice }
+                        },
+                        y1: {
+                            display: hasPosition,
+                            position: 'right',
+                            grid: { display: false },
+                            ticks: { color: textColor, callback: (value) => this.formatCurrency(value, currency, { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 }) }
+                        }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error creating growth chart:', error);
+        }
+    }
+    
+    /**
+     * Offer the chart's CAGR as the growth rate when the loaded series allows it
+     */
+    updateHistoryCagrButton() {
+        const button = document.getElementById('growth-use-history');
+        const cagr = this.getHistoryCagr();
+        button.disabled = cagr === null;
+        button.textContent = cagr === null
+            ? this.t('growth.useHistory')
+            : this.t('growth.useHistoryValue', {
+                range: this.t(`chartRange.${this.selectedRange}`),
+                rate: this.formatPercent(cagr, { digits: 1 })
+            });
+    }
+    
+    applyHistoryCagr() {
+        const cagr = this.getHistoryCagr();
+        if (cagr === null) return;
+        
+        document.getElementById('growth-rate').value = +cagr.toFixed(2);
+        this.calculateGrowthProjection();
+    }
+    
+    /**
+     * CAGR implied by reaching the analyst target price by the chosen date
+     */
+    calculateImpliedCagr() {
+        const result = document.getElementById('implied-cagr-result');
+        const dateInput = document.getElementById('target-date');
+        if (!result || !dateInput) return;
+        
+        const target = this.currentStockData && this.currentStockData.targetPrice;
+        if (!target) {
+            result.textContent = this.t('growth.noTarget', { symbol: this.currentStock || '' });
+            return;
+        }
+        
+        const years = (new Date(dateInput.value).getTime() - this.now().getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+        if (!(years > 0)) {
+            result.textContent = this.t('growth.futureDate');
+            return;
+        }
+        
+        const currency = this.getExchange().currency;
+        result.textContent = this.t('growth.implied', {
+            target: this.formatCurrency(target, currency),
+            date: this.formatDate(dateInput.value, { dateStyle: 'medium', timeZone: 'UTC' }),
+            cagr: this.formatPercent(this.calculateCagr(this.currentPrice, target, years), { digits: 1, signed: true }),
+            total: this.formatPercent(this.getRequiredMovePercent(this.currentPrice, target), { digits: 1, signed: true })
+        });
+    }
+    
+    initTradePlanner() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.tradePlanKey) || '{}');
+            if (saved.account) document.getElementById('trade-account').value = saved.account;
+            if (saved.risk) document.getElementById('trade-risk').value = saved.risk;
+        } catch (error) {
+            console.error('Error loading trade planner settings:', error);
+        }
+    }
+    
+    saveTradePlannerSettings() {
+        try {
+            localStorage.setItem(this.tradePlanKey, JSON.stringify({
+                account: document.getElementById('trade-account').value,
+                risk: document.getElementById('trade-risk').value
+            }));
+        } catch (error) {
+            console.error('Error saving trade planner settings:', error);
+        }
+    }
+    
+    /**
+     * Stop-loss / take-profit plan from the planner inputs. Levels are entered as a percent
+     * from entry or as a price in the listing's currency; a short trade mirrors a long one.
+     */
+    getTradePlan() {
+        const value = (id) => parseFloat(document.getElementById(id).value);
+        const side = document.getElementById('trade-side').value;
+        const entry = value('trade-entry') || this.currentPrice;
+        const direction = side === 'short' ? -1 : 1;
+        const level = (id, sign) => {
+            const amount = value(id);
+            if (!(amount > 0)) return null;
+            return document.getElementById(`${id}-unit`).value === 'percent'
+                ? entry * (1 + sign * direction * amount / 100)
+                : amount;
+        };
+        
+        if (!(entry > 0)) return { error: 'trade.needEntry' };
+        
+        const stop = level('trade-stop', -1);
+        const target = level('trade-target', 1);
+        if (stop === null || target === null) return { error: 'trade.needLevels' };
+        
+        // Risk and reward must sit on opposite sides of the entry, above zero
+        const riskPerShare = (entry - stop) * direction;
+        const rewardPerShare = (target - entry) * direction;
+        if (riskPerShare <= 0 || rewardPerShare <= 0 || stop <= 0 || target <= 0) {
+            return { error: side === 'short' ? 'trade.invalidShort' : 'trade.invalidLong' };
+        }
+        
+        const plan = {
+            symbol: this.currentStock,
+            side,
+            entry,
+            stop,
+            target,
+            riskPerShare,
+            rewardPerShare,
+            riskReward: rewardPerShare / riskPerShare,
+            breakEvenWinRate: riskPerShare / (riskPerShare + rewardPerShare) * 100,
+            shares: null
+        };
+        
+        // Size the position so hitting the stop loses the risk budget, without exceeding the account
+        const account = value('trade-account');
+        const riskPercent = value('trade-risk');
+        if (account > 0 && riskPercent > 0) {
+            const riskShares = Math.floor(account * riskPercent / 100 / riskPerShare);
+            const affordableShares = Math.floor(account / entry);
+            plan.shares = Math.min(riskShares, affordableShares);
+            plan.limitedByAccount = affordableShares < riskShares;
+            plan.positionValue = plan.shares * entry;
+            plan.maxLoss = plan.shares * riskPerShare;
+            plan.potentialProfit = plan.shares * rewardPerShare;
+        }
+        return plan;
+    }
+    
+    calculateTradePlan() {
+        const result = document.getElementById('trade-plan-result');
+        const notice = document.getElementById('trade-plan-notice');
+        if (!result || !notice || !this.currentPrice) return;
+        
+        const currency = this.getExchange().currency;
+        document.querySelectorAll('.trade-currency').forEach(unit => { unit.textContent = currency; });
+        document.getElementById('trade-entry').placeholder = this.currentPrice.toFixed(2);
+        this.saveTradePlannerSettings();
+        
+        const plan = this.getTradePlan();
+        this.tradePlan = plan.error ? null : { ...plan, showOnChart: document.getElementById('trade-show-lines').checked };
+        document.getElementById('trade-create-alerts').disabled = !this.tradePlan;
+        if (this.priceChart) {
+            this.priceChart.update('none');
+        }
+        
+        if (plan.error) {
+            notice.textContent = this.t(plan.error);
+            result.classList.add('hidden');
+            return;
+        }
+        
+        const fields = {
+            'trade-stop-display': this.t('trade.levelWithMove', {
+                price: this.formatCurrency(plan.stop, currency),
+                percent: this.formatPercent(this.getRequiredMovePercent(plan.entry, plan.stop), { signed: true })
+            }),
+            'trade-target-display': this.t('trade.levelWithMove', {
+                price: this.formatCurrency(plan.target, currency),
+                percent: this.formatPercent(this.getRequiredMovePercent(plan.entry, plan.target), { signed: true })
+            }),
+            'trade-rr-display': `1 : ${this.formatNumber(plan.riskReward, { maximumFractionDigits: 2 })}`,
+            'trade-breakeven-display': this.formatPercent(plan.breakEvenWinRate, { digits: 1 }),
+            'trade-shares-display': plan.shares === null ? '—' : this.t('trade.sharesValue', {
+                count: plan.shares,
+                shares: this.formatNumber(plan.shares),
+                value: this.formatCurrency(plan.positionValue, currency)
+            }),
+            'trade-loss-display': plan.shares === null ? '—' : `-${this.formatCurrency(plan.maxLoss, currency)}`,
+            'trade-profit-display': plan.shares === null ? '—' : `+${this.formatCurrency(plan.potentialProfit, currency)}`
+        };
+        Object.entries(fields).forEach(([id, text]) => {
+            document.getElementById(id).textContent = text;
+        });
+        
+        if (plan.shares === null) {
+            notice.textContent = this.t('trade.needAccount');
+        } else if (plan.shares === 0) {
+            notice.textContent = this.t('trade.riskTooSmall');
+        } else {
+            notice.textContent = plan.limitedByAccount ? this.t('trade.limitedByAccount') : '';
+        }
+        result.classList.remove('hidden');
+    }
+    
+    /**
+     * Turn the planned stop-loss and take-profit into crossing alerts for the loaded symbol
+     */
+    createTradeAlerts() {
+        const plan = this.tradePlan;
+        if (!plan || plan.symbol !== this.currentStock) {
+            this.showError(this.t('trade.needLevels'));
+            return;
+        }
+        
+        const isLong = plan.side === 'long';
+        this.addAlert(isLong ? 'cross-below' : 'cross-above', +plan.stop.toFixed(4), 'once');
+        this.addAlert(isLong ? 'cross-above' : 'cross-below', +plan.target.toFixed(4), 'once');
+        this.elements.alertsSection.classList.remove('hidden');
+        document.getElementById('trade-plan-notice').textContent = this.t('trade.alertsCreated', { symbol: plan.symbol });
+    }
+    
+    applyReversePreset(field) {
+        const value = this.currentStockData && this.currentStockData[field];
+        if (!value) return;
+        
+        document.getElementById('reverse-target').value = +value.toFixed(4);
+        this.calculateRequiredMove();
+    }
+    
     /**
      * Show additional sections after successful stock fetch
      */
@@ -1825,7 +6068,8 @@ class StockPriceCalculator {
         
         this.elements.alertsSection.classList.remove('hidden');
         this.elements.refreshSection.classList.remove('hidden');
-        console.log('Alerts and refresh sections unhidden');
+        document.getElementById('options-section').classList.remove('hidden');
+        console.log('Alerts, refresh and options sections unhidden');
         
         // Show projection calculator after stock data is loaded
         const projectionSection = document.getElementById('projection-section');
@@ -1846,6 +6090,56 @@ class StockPriceCalculator {
         }
     }
     
+    /**
+     * Restore saved alerts and show them even before a stock is loaded
+     */
+    initAlerts() {
+        this.loadAlerts();
+        this.loadAlertHistory();
+        this.updateAlertsDisplay();
+        this.updateAlertHistoryDisplay();
+        
+        if (this.alerts.length > 0) {
+            this.elements.alertsSection.classList.remove('hidden');
+        }
+    }
+    
+    loadAlerts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.alertsKey) || '[]');
+            this.alerts = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading alerts:', error);
+            this.alerts = [];
+        }
+    }
+    
+    saveAlerts() {
+        try {
+            localStorage.setItem(this.alertsKey, JSON.stringify(this.alerts));
+        } catch (error) {
+            console.error('Error saving alerts:', error);
+        }
+    }
+    
+    loadAlertHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.alertHistoryKey) || '[]');
+            this.alertHistory = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading alert history:', error);
+            this.alertHistory = [];
+        }
+    }
+    
+    saveAlertHistory() {
+        try {
+            localStorage.setItem(this.alertHistoryKey, JSON.stringify(this.alertHistory));
+        } catch (error) {
+            console.error('Error saving alert history:', error);
+        }
+    }
+    
     /**
      * Set up a price alert
      */
@@ -1853,39 +6147,107 @@ class StockPriceCalculator {
         console.log('=== setAlert() called ===');
         
         const alertType = document.getElementById('alert-type').value;
-        const percentage = parseFloat(document.getElementById('alert-percentage').value);
+        const value = parseFloat(document.getElementById('alert-value').value);
+        const repeat = document.getElementById('alert-repeat').value;
+        const config = this.alertTypes[alertType];
+        
+        console.log('Alert inputs:', { alertType, value, currentStock: this.currentStock, currentPrice: this.currentPrice });
+        
+        if (!this.currentStock) {
+            console.log('No current stock');
+            this.showError(this.t('error.needStock'));
+            return;
+        }
         
-        console.log('Alert inputs:', { alertType, percentage, currentStock: this.currentStock, currentPrice: this.currentPrice });
+        if (config.unit && (!value || value <= 0)) {
+            console.log('Invalid alert value:', value);
+            this.showError(this.t('alerts.needValue'));
+            return;
+        }
         
-        if (!percentage || percentage <= 0 || percentage > 50) {
-            console.log('Invalid percentage:', percentage);
-            this.showError('Please enter a valid percentage between 1 and 50');
+        if (alertType === 'drop' && value >= 100) {
+            this.showError(this.t('alerts.dropLimit'));
             return;
         }
         
-        if (!this.currentStock) {
-            console.log('No current stock');
-            this.showError('Please fetch a stock price first');
+        const quote = this.quoteCache[this.currentStock] || {};
+        if ((alertType === 'volume' && !quote.avgVolume) ||
+            (alertType === 'high52' && !quote.weekHigh52) ||
+            (alertType === 'low52' && !quote.weekLow52)) {
+            this.showError(this.t(alertType === 'volume' ? 'alerts.noAvgVolume' : 'alerts.no52Week', { symbol: this.currentStock }));
             return;
         }
         
+        this.addAlert(alertType, value, repeat, quote);
+        this.clearAlertInputs();
+    }
+    
+    /**
+     * Store a validated alert for the current symbol
+     */
+    addAlert(type, value, repeat, quote = this.quoteCache[this.currentStock] || {}) {
         const alert = {
-            id: Date.now(),
+            // Several alerts can be created in the same millisecond (e.g. from the trade planner)
+            id: Math.max(Date.now(), ...this.alerts.map(existing => existing.id + 1)),
             symbol: this.currentStock,
-            type: alertType,
-            percentage: percentage,
+            type: type,
+            value: this.alertTypes[type].unit ? value : null,
             basePrice: this.currentPrice,
-            targetPrice: alertType === 'drop' 
-                ? this.currentPrice * (1 - percentage / 100)
-                : this.currentPrice * (1 + percentage / 100),
-            created: new Date()
+            lastPrice: this.currentPrice, // previous observation for the crossing types
+            targetPrice: this.getAlertTargetPrice(type, value, quote),
+            repeat: repeat, // once | rearm | snooze | session
+            armed: true,
+            snoozedUntil: null,
+            firedSession: null,
+            created: Date.now()
         };
         
         this.alerts.push(alert);
+        this.saveAlerts();
         this.updateAlertsDisplay();
-        this.clearAlertInputs();
         
         console.log('Alert set:', alert);
+        return alert;
+    }
+    
+    /**
+     * Price level an alert fires at (null for the day-change and volume types)
+     */
+    getAlertTargetPrice(type, value, quote) {
+        switch (type) {
+            case 'drop': return this.currentPrice * (1 - value / 100);
+            case 'rise': return this.currentPrice * (1 + value / 100);
+            case 'above':
+            case 'below':
+            case 'cross-above':
+            case 'cross-below': return value;
+            case 'high52': return quote.weekHigh52;
+            case 'low52': return quote.weekLow52;
+            default: return null;
+        }
+    }
+    
+    /**
+     * Show the unit for the selected alert type and disable the value for types that need none
+     */
+    updateAlertValueInput() {
+        const config = this.alertTypes[document.getElementById('alert-type').value];
+        const input = document.getElementById('alert-value');
+        
+        // Price levels are entered in the listing's currency
+        document.getElementById('alert-value-unit').textContent = config.unit === '$' ? this.getExchange().currency : (config.unit || '');
+        input.disabled = !config.unit;
+        if (!config.unit) input.value = '';
+    }
+    
+    /**
+     * Readable description of an alert's condition
+     */
+    describeAlert(alert) {
+        const value = alert.value;
+        const target = this.formatCurrency(alert.targetPrice, this.getExchange(alert.symbol).currency);
+        
+        return this.alertTypes[alert.type] ? this.t(`alertDesc.${alert.type}`, { value, target }) : alert.type;
     }
     
     /**
@@ -1895,19 +6257,72 @@ class StockPriceCalculator {
         const alertsList = document.getElementById('alerts-list');
         
         if (this.alerts.length === 0) {
-            alertsList.innerHTML = '<p class="no-alerts">No active alerts</p>';
+            alertsList.innerHTML = `<p class="no-alerts">${this.t('alerts.none')}</p>`;
             return;
         }
         
-        alertsList.innerHTML = this.alerts.map(alert => `
-            <div class="alert-item">
-                <span class="alert-text">
-                    ${alert.symbol}: Alert me if price ${alert.type}s by ${alert.percentage}% 
-                    (target: ${this.formatCurrency(alert.targetPrice)})
-                </span>
-                <button class="remove-alert" onclick="stockApp.removeAlert(${alert.id})">Remove</button>
-            </div>
-        `).join('');
+        alertsList.innerHTML = this.alerts.map(alert => {
+            const status = this.getAlertStatus(alert);
+            return `
+                <div class="alert-item">
+                    <span class="alert-text">
+                        ${this.t('alerts.item', { symbol: alert.symbol, condition: this.describeAlert(alert) })}
+                        <span class="alert-status">${status}</span>
+                    </span>
+                    ${this.isAlertArmed(alert) ? '' : `<button class="rearm-alert" onclick="stockApp.rearmAlert(${alert.id})">${this.t('alerts.rearm')}</button>`}
+                    <button class="remove-alert" onclick="stockApp.removeAlert(${alert.id})">${this.t('alerts.remove')}</button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Repeat mode plus whether the alert is currently waiting to fire
+     */
+    getAlertStatus(alert) {
+        const repeat = ['rearm', 'snooze', 'session'].includes(alert.repeat) ? alert.repeat : 'once';
+        const mode = this.t(`alertMode.${repeat}`, { minutes: this.alertSnoozeMinutes });
+        
+        if (alert.snoozedUntil && Date.now() < alert.snoozedUntil) {
+            return this.t('alertStatus.snoozed', { mode, time: this.formatDate(alert.snoozedUntil, { hour: 'numeric', minute: '2-digit' }) });
+        }
+        if (alert.repeat === 'session' && alert.firedSession === this.getTradingSessionKey(this.getExchange(alert.symbol))) {
+            return this.t('alertStatus.firedSession', { mode });
+        }
+        if (alert.armed === false) {
+            return this.t('alertStatus.waiting', { mode });
+        }
+        return mode;
+    }
+    
+    /**
+     * Whether an alert may fire now (not snoozed, not already fired this session, not awaiting re-arm)
+     */
+    isAlertArmed(alert) {
+        if (alert.snoozedUntil && Date.now() < alert.snoozedUntil) return false;
+        if (alert.repeat === 'session' && alert.firedSession === this.getTradingSessionKey(this.getExchange(alert.symbol))) return false;
+        return alert.armed !== false;
+    }
+    
+    /**
+     * Manually re-arm an alert that is snoozed, session-limited or waiting for its condition to clear
+     */
+    rearmAlert(alertId) {
+        const alert = this.alerts.find(a => a.id === alertId);
+        if (!alert) return;
+        
+        alert.armed = true;
+        alert.snoozedUntil = null;
+        alert.firedSession = null;
+        this.saveAlerts();
+        this.updateAlertsDisplay();
+    }
+    
+    /**
+     * Exchange-local calendar date identifying the current trading session
+     */
+    getTradingSessionKey(exchange = this.getExchange()) {
+        return this.formatDateKey(this.getExchangeTime(exchange));
     }
     
     /**
@@ -1915,6 +6330,7 @@ class StockPriceCalculator {
      */
     removeAlert(alertId) {
         this.alerts = this.alerts.filter(alert => alert.id !== alertId);
+        this.saveAlerts();
         this.updateAlertsDisplay();
     }
     
@@ -1922,41 +6338,198 @@ class StockPriceCalculator {
      * Clear alert input fields
      */
     clearAlertInputs() {
-        document.getElementById('alert-percentage').value = '';
+        document.getElementById('alert-value').value = '';
     }
     
     /**
-     * Check if any alerts should be triggered
+     * Check alerts against their own symbol's latest quote (only that symbol's alerts when a quote is given)
      */
-    checkAlerts() {
-        if (!this.currentPrice || this.alerts.length === 0) return;
+    checkAlerts(quote = null) {
+        if (this.alerts.length === 0) return;
+        
+        let stateChanged = false;
+        this.alerts
+            .filter(alert => !quote || alert.symbol === quote.ticker)
+            .forEach(alert => {
+                const latest = quote || this.quoteCache[alert.symbol];
+                if (!latest || !latest.price) return;
+                
+                const conditionMet = this.evaluateAlert(alert, latest);
+                
+                if (alert.type.startsWith('cross-') && alert.lastPrice !== latest.price) {
+                    alert.lastPrice = latest.price;
+                    stateChanged = true;
+                }
+                
+                if (conditionMet && this.isAlertArmed(alert)) {
+                    this.triggerAlert(alert, latest);
+                } else if (!conditionMet && alert.repeat === 'rearm' && alert.armed === false) {
+                    alert.armed = true;
+                    stateChanged = true;
+                }
+            });
         
-        this.alerts.forEach(alert => {
-            const shouldTrigger = (
-                (alert.type === 'drop' && this.currentPrice <= alert.targetPrice) ||
-                (alert.type === 'rise' && this.currentPrice >= alert.targetPrice)
-            );
-            
-            if (shouldTrigger) {
-                this.triggerAlert(alert);
-            }
-        });
+        if (stateChanged) {
+            this.saveAlerts();
+            this.updateAlertsDisplay();
+        }
+    }
+    
+    /**
+     * Whether a quote satisfies an alert's condition. Crossing types are edge-triggered:
+     * they only fire when the previous observation was on the other side of the level.
+     */
+    evaluateAlert(alert, quote) {
+        const price = quote.price;
+        const value = alert.value;
+        const lastPrice = alert.lastPrice !== undefined ? alert.lastPrice : alert.basePrice;
+        
+        switch (alert.type) {
+            case 'drop':
+            case 'below': return price <= alert.targetPrice;
+            case 'rise':
+            case 'above': return price >= alert.targetPrice;
+            case 'cross-above': return lastPrice < alert.targetPrice && price >= alert.targetPrice;
+            case 'cross-below': return lastPrice > alert.targetPrice && price <= alert.targetPrice;
+            case 'change-up': return quote.changePercent >= value;
+            case 'change-down': return quote.changePercent <= -value;
+            case 'volume': return !!(quote.volume && quote.avgVolume) && quote.volume >= quote.avgVolume * value;
+            case 'high52': return price > alert.targetPrice;
+            case 'low52': return price < alert.targetPrice;
+            default: return false;
+        }
     }
     
     /**
      * Trigger an alert notification
      */
-    triggerAlert(alert) {
-        const message = `${alert.symbol} has ${alert.type === 'drop' ? 'dropped' : 'risen'} by ${alert.percentage}%! Current price: ${this.formatCurrency(this.currentPrice)}`;
+    triggerAlert(alert, quote) {
+        const message = this.t('alerts.notification', {
+            symbol: alert.symbol,
+            condition: this.describeAlert(alert),
+            price: this.formatCurrency(quote.price, this.getExchange(alert.symbol).currency)
+        });
         
-        this.showNotification('Price Alert!', message);
+        this.showNotification(this.t('alerts.notificationTitle'), message);
+        this.recordAlertTrigger(alert, quote);
         
-        // Remove the triggered alert
-        this.removeAlert(alert.id);
+        // One-shot alerts are removed; the others wait according to their repeat mode
+        switch (alert.repeat) {
+            case 'rearm':
+                alert.armed = false;
+                break;
+            case 'snooze':
+                alert.snoozedUntil = Date.now() + this.alertSnoozeMinutes * 60 * 1000;
+                break;
+            case 'session':
+                alert.firedSession = this.getTradingSessionKey(this.getExchange(alert.symbol));
+                break;
+            default:
+                this.removeAlert(alert.id);
+                console.log('Alert triggered:', alert);
+                return;
+        }
         
+        this.saveAlerts();
+        this.updateAlertsDisplay();
         console.log('Alert triggered:', alert);
     }
     
+    /**
+     * Add a triggered alert to the stored history (newest first)
+     */
+    recordAlertTrigger(alert, quote) {
+        this.alertHistory.unshift({
+            id: Date.now(),
+            alertId: alert.id,
+            timestamp: Date.now(),
+            symbol: alert.symbol,
+            type: alert.type,
+            condition: this.describeAlert(alert),
+            triggerPrice: quote.price,
+            createdPrice: alert.basePrice
+        });
+        this.alertHistory = this.alertHistory.slice(0, this.maxAlertHistory);
+        this.saveAlertHistory();
+        this.updateAlertHistoryDisplay();
+    }
+    
+    updateAlertHistoryDisplay() {
+        const list = document.getElementById('alert-history-list');
+        if (!list) return;
+        
+        if (this.alertHistory.length === 0) {
+            list.innerHTML = `<p class="no-alerts">${this.t('alerts.historyNone')}</p>`;
+            return;
+        }
+        
+        list.innerHTML = this.alertHistory.map(entry => `
+            <div class="alert-history-item">
+                <span>
+                    <strong>${entry.symbol}</strong> ${this.t('alerts.historyItem', {
+                        condition: entry.condition,
+                        price: this.formatCurrency(entry.triggerPrice, this.getExchange(entry.symbol).currency),
+                        created: this.formatCurrency(entry.createdPrice, this.getExchange(entry.symbol).currency)
+                    })}
+                </span>
+                <span class="alert-history-time">${this.formatDate(entry.timestamp, { dateStyle: 'medium', timeStyle: 'short' })}</span>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Download the alert history as a CSV file
+     */
+    exportAlertHistory() {
+        if (this.alertHistory.length === 0) {
+            this.showError(this.t('alerts.noHistory'));
+            return;
+        }
+        
+        this.downloadCsv([
+            [
+                this.t('alerts.csvTriggeredAt'),
+                this.t('table.symbol'),
+                this.t('alerts.csvType'),
+                this.t('alerts.csvCondition'),
+                this.t('alerts.csvTriggerPrice'),
+                this.t('alerts.csvCreatedPrice')
+            ],
+            ...this.alertHistory.map(entry => [
+                new Date(entry.timestamp).toISOString(),
+                entry.symbol,
+                entry.type,
+                entry.condition,
+                entry.triggerPrice.toFixed(2),
+                entry.createdPrice.toFixed(2)
+            ])
+        ], `alert-history-${new Date().toISOString().slice(0, 10)}.csv`);
+    }
+    
+    /**
+     * Save rows (arrays of cells) as a CSV download
+     */
+    downloadCsv(rows, filename) {
+        const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        const csv = rows.map(row => row.map(escape).join(',')).join('\n');
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    clearAlertHistory() {
+        if (!confirm(this.t('alerts.clearHistoryConfirm'))) return;
+        
+        this.alertHistory = [];
+        this.saveAlertHistory();
+        this.updateAlertHistoryDisplay();
+    }
+    
     /**
      * Toggle auto-refresh functionality
      */
@@ -1965,25 +6538,14 @@ class StockPriceCalculator {
         console.log('Current state - isAutoRefreshEnabled:', this.isAutoRefreshEnabled);
         console.log('Current stock:', this.currentStock);
         
-        const toggleBtn = document.getElementById('toggle-refresh-btn');
-        const statusElement = document.getElementById('refresh-status');
-        
-        console.log('Toggle button element:', toggleBtn);
-        console.log('Status element:', statusElement);
-        
         if (this.isAutoRefreshEnabled) {
             console.log('Stopping auto-refresh...');
             this.stopAutoRefresh();
-            toggleBtn.textContent = 'Start Auto-Refresh';
-            toggleBtn.classList.remove('active');
-            statusElement.textContent = 'Auto-refresh: OFF';
         } else {
             console.log('Starting auto-refresh...');
             this.startAutoRefresh();
-            toggleBtn.textContent = 'Stop Auto-Refresh';
-            toggleBtn.classList.add('active');
-            statusElement.textContent = `Auto-refresh: ON (every ${this.getRefreshIntervalText()})`;
         }
+        this.updateRefreshControls();
         
         console.log('New state - isAutoRefreshEnabled:', this.isAutoRefreshEnabled);
     }
@@ -1997,7 +6559,7 @@ class StockPriceCalculator {
         
         if (!this.currentStock) {
             console.log('No current stock - cannot start auto-refresh');
-            this.showError('Please fetch a stock price first');
+            this.showError(this.t('error.needStock'));
             return;
         }
         
@@ -2039,12 +6601,11 @@ class StockPriceCalculator {
                 return Math.max(30, this.refreshIntervalSeconds); // Minimum 30 seconds during market hours
             case 'pre-market':
             case 'after-hours':
-                return Math.max(120, this.refreshIntervalSeconds * 2); // Slower during extended hours
+            case 'break':
+                return Math.max(120, this.refreshIntervalSeconds * 2); // Slower during extended hours and breaks
             case 'closed':
-                const et = this.getEasternTime();
-                const day = et.getDay();
-                if (day === 0 || day === 6) {
-                    return 600; // 10 minutes on weekends
+                if (!this.getMarketDay(this.getExchangeTime()).isTradingDay) {
+                    return 600; // 10 minutes on weekends and holidays
                 }
                 return Math.max(300, this.refreshIntervalSeconds * 4); // Much slower when closed
             default:
@@ -2066,28 +6627,7 @@ class StockPriceCalculator {
         if (!this.currentStock || !this.currentPrice) return;
         
         const marketStatus = this.getMarketStatus();
-        let maxChangePercent;
-        let changeFrequency;
-        
-        // Adjust volatility based on market status
-        switch (marketStatus.status) {
-            case 'open':
-                maxChangePercent = 0.03; // ±3% during market hours
-                changeFrequency = 0.8; // 80% chance of price change
-                break;
-            case 'pre-market':
-            case 'after-hours':
-                maxChangePercent = 0.015; // ±1.5% during extended hours
-                changeFrequency = 0.4; // 40% chance of price change
-                break;
-            case 'closed':
-                maxChangePercent = 0.005; // ±0.5% when market is closed
-                changeFrequency = 0.1; // 10% chance of price change
-                break;
-            default:
-                maxChangePercent = 0.01;
-                changeFrequency = 0.3;
-        }
+        const { maxChangePercent, changeFrequency } = this.getSimulatedVolatility(marketStatus.status);
         
         // Only change price based on frequency
         if (Math.random() > changeFrequency) {
@@ -2122,6 +6662,24 @@ class StockPriceCalculator {
         console.log(`Market-aware price update for ${this.currentStock}: $${newPrice.toFixed(2)} (${changePercent > 0 ? '+' : ''}${(changePercent * 100).toFixed(2)}%) [${marketStatus.status}]`);
     }
     
+    /**
+     * Simulated volatility and change frequency for a market status
+     */
+    getSimulatedVolatility(status) {
+        switch (status) {
+            case 'open':
+                return { maxChangePercent: 0.03, changeFrequency: 0.8 }; // ±3%, 80% chance of a change
+            case 'pre-market':
+            case 'after-hours':
+                return { maxChangePercent: 0.015, changeFrequency: 0.4 }; // ±1.5% during extended hours
+            case 'closed':
+            case 'break':
+                return { maxChangePercent: 0.005, changeFrequency: 0.1 }; // ±0.5% when market is closed
+            default:
+                return { maxChangePercent: 0.01, changeFrequency: 0.3 };
+        }
+    }
+    
     /**
      * Legacy price simulation (kept for compatibility)
      */
@@ -2149,8 +6707,22 @@ class StockPriceCalculator {
         this.stopAutoRefresh();
         this.startAutoRefresh();
         
+        this.updateRefreshControls();
+    }
+    
+    /**
+     * Sync the auto-refresh button and status line with the current state
+     */
+    updateRefreshControls() {
+        const toggleBtn = document.getElementById('toggle-refresh-btn');
         const statusElement = document.getElementById('refresh-status');
-        statusElement.textContent = `Auto-refresh: ON (every ${this.getRefreshIntervalText()})`;
+        if (!toggleBtn || !statusElement) return;
+        
+        toggleBtn.textContent = this.t(this.isAutoRefreshEnabled ? 'refresh.stop' : 'refresh.start');
+        toggleBtn.classList.toggle('active', this.isAutoRefreshEnabled);
+        statusElement.textContent = this.isAutoRefreshEnabled
+            ? this.t('refresh.on', { interval: this.getRefreshIntervalText() })
+            : this.t('refresh.off');
     }
     
     /**
@@ -2158,7 +6730,7 @@ class StockPriceCalculator {
      */
     getRefreshIntervalText() {
         const minutes = this.refreshIntervalSeconds / 60;
-        return minutes < 60 ? `${minutes} minute${minutes !== 1 ? 's' : ''}` : `${minutes / 60} hour${minutes !== 60 ? 's' : ''}`;
+        return minutes < 60 ? this.t('refresh.minutes', { count: minutes }) : this.t('refresh.hours', { count: minutes / 60 });
     }
     
     /**
@@ -2213,27 +6785,27 @@ class StockPriceCalculator {
      * Handle API errors with appropriate user feedback
      */
     handleApiError(error) {
-        let errorMessage = 'An error occurred while fetching stock data.';
+        let errorKey = 'error.generic';
         
         if (error.message.includes('Invalid ticker') || error.message.includes('Invalid symbol')) {
-            errorMessage = 'Invalid ticker symbol. Please check the symbol and try again.';
+            errorKey = 'error.invalidTicker';
         } else if (error.message.includes('CORS') || error.message.includes('cors')) {
-            errorMessage = 'Unable to access stock data due to browser security restrictions. Please try refreshing the page or using a different ticker.';
+            errorKey = 'error.cors';
         } else if (error.message.includes('Network') || error.message.includes('fetch')) {
-            errorMessage = 'Network error. Please check your internet connection and try again.';
+            errorKey = 'error.network';
         } else if (error.message.includes('404')) {
-            errorMessage = 'Stock not found. Please verify the ticker symbol is correct.';
+            errorKey = 'error.notFound';
         } else if (error.message.includes('429') || error.message.includes('rate limit')) {
-            errorMessage = 'Too many requests. Please wait a moment and try again.';
+            errorKey = 'error.rateLimit';
         } else if (error.message.includes('503') || error.message.includes('502') || error.message.includes('unavailable')) {
-            errorMessage = 'Stock data service temporarily unavailable. Please try again in a few minutes.';
+            errorKey = 'error.unavailable';
         } else if (error.message.includes('timeout')) {
-            errorMessage = 'Request timed out. Please check your connection and try again.';
+            errorKey = 'error.timeout';
         } else if (error.message.includes('All data sources')) {
-            errorMessage = 'All stock data sources are currently unavailable. This may be due to:\n• Network connectivity issues\n• API service maintenance\n• Browser security restrictions\n\nTry using demo tickers: AAPL, GOOGL, MSFT, TSLA, DEMO, or TEST to see how the app works offline.';
+            errorKey = 'error.allSources';
         }
         
-        this.showError(errorMessage);
+        this.showError(this.t(errorKey));
         
         // Add troubleshooting button for persistent errors
         this.addTroubleshootingInfo(error);
@@ -2257,16 +6829,16 @@ class StockPriceCalculator {
             troubleshootingDiv.className = 'troubleshooting-info';
             troubleshootingDiv.innerHTML = `
                 <details style="margin-top: 10px;">
-                    <summary style="cursor: pointer; font-weight: bold;">Troubleshooting Tips</summary>
+                    <summary style="cursor: pointer; font-weight: bold;">${this.t('troubleshooting.title')}</summary>
                     <div style="margin-top: 10px; padding: 10px; background: #f8f9fa; border-radius: 4px; font-size: 0.9em;">
-                        <p><strong>If you're seeing this error repeatedly:</strong></p>
+                        <p><strong>${this.t('troubleshooting.intro')}</strong></p>
                         <ul style="margin: 10px 0; padding-left: 20px;">
-                            <li>Try refreshing the page (Ctrl+F5 or Cmd+Shift+R)</li>
-                            <li>Check that the ticker symbol exists (try AAPL, GOOGL, or MSFT)</li>
-                            <li>Ensure you have a stable internet connection</li>
-                            <li>Try accessing the page later (services may be temporarily down)</li>
+                            <li>${this.t('troubleshooting.refresh')}</li>
+                            <li>${this.t('troubleshooting.ticker')}</li>
+                            <li>${this.t('troubleshooting.connection')}</li>
+                            <li>${this.t('troubleshooting.later')}</li>
                         </ul>
-                        <p><strong>For developers:</strong> Consider hosting on HTTPS or using a proper CORS proxy for production use.</p>
+                        <p><strong>${this.t('troubleshooting.developersLabel')}</strong> ${this.t('troubleshooting.developers')}</p>
                     </div>
                 </details>
             `;
@@ -2283,12 +6855,12 @@ class StockPriceCalculator {
         if (show) {
             this.elements.loading.classList.remove('hidden');
             this.elements.searchBtn.disabled = true;
-            this.elements.searchBtn.textContent = 'Loading...';
+            this.elements.searchBtn.textContent = this.t('common.loading');
             console.log('Loading state: SHOWN');
         } else {
             this.elements.loading.classList.add('hidden');
             this.elements.searchBtn.disabled = false;
-            this.elements.searchBtn.textContent = 'Get Price';
+            this.elements.searchBtn.textContent = this.t('input.search');
             console.log('Loading state: HIDDEN');
         }
     }
@@ -2313,16 +6885,1109 @@ class StockPriceCalculator {
         this.elements.errorMessage.classList.add('hidden');
     }
     
+    // Currency Conversion
+    initDisplayCurrency() {
+        const select = document.getElementById('display-currency');
+        if (!select) return;
+        
+        select.value = this.displayCurrency || '';
+        select.addEventListener('change', () => this.setDisplayCurrency(select.value || null));
+        this.refreshFxRates();
+    }
+    
+    setDisplayCurrency(currency) {
+        this.displayCurrency = currency;
+        if (currency) {
+            localStorage.setItem(this.displayCurrencyKey, currency);
+        } else {
+            localStorage.removeItem(this.displayCurrencyKey);
+        }
+        
+        this.refreshCurrencyDisplays();
+        this.refreshFxRates();
+    }
+    
+    loadFxRates() {
+        try {
+            return JSON.parse(localStorage.getItem(this.fxRatesKey) || '{}');
+        } catch (error) {
+            console.error('Error loading FX rates:', error);
+            return {};
+        }
+    }
+    
+    saveFxRates() {
+        try {
+            localStorage.setItem(this.fxRatesKey, JSON.stringify(this.fxRates));
+        } catch (error) {
+            console.error('Error saving FX rates:', error);
+        }
+    }
+    
+    /**
+     * USD value of one unit of a currency: last fetched rate (even if stale), else the fallback table
+     */
+    getUsdRate(currency) {
+        if (currency === 'USD') return 1;
+        if (currency === 'GBp') return this.getUsdRate('GBP') / 100; // pence
+        
+        const cached = this.fxRates[currency];
+        return cached ? cached.rate : (this.fxFallbackRates[currency] || 1);
+    }
+    
+    convertCurrency(amount, from, to) {
+        if (from === to) return amount;
+        return amount * this.getUsdRate(from) / this.getUsdRate(to);
+    }
+    
+    /**
+     * Fetch FX pairs that are missing or older than the cache window, then re-render prices
+     */
+    async refreshFxRates() {
+        if (!this.displayCurrency) return;
+        if (this.fxRefreshPromise) return this.fxRefreshPromise;
+        
+        const symbols = [this.currentStock, ...this.getTrackedSymbols()].filter(Boolean);
+        const needed = new Set([this.displayCurrency, ...symbols.map(symbol => this.getExchange(symbol).currency)]
+            .map(currency => currency === 'GBp' ? 'GBP' : currency)
+            .filter(currency => currency !== 'USD'));
+        const maxAge = this.fxCacheMinutes * 60 * 1000;
+        const stale = [...needed].filter(currency => !this.fxRates[currency] || Date.now() - this.fxRates[currency].fetchedAt > maxAge);
+        if (stale.length === 0) return;
+        
+        this.fxRefreshPromise = (async () => {
+            let updated = false;
+            for (const currency of stale) {
+                updated = (await this.fetchFxRate(currency)) || updated;
+            }
+            if (updated) {
+                this.saveFxRates();
+                this.refreshCurrencyDisplays();
+            }
+        })();
+        
+        try {
+            await this.fxRefreshPromise;
+        } finally {
+            this.fxRefreshPromise = null;
+        }
+    }
+    
+    /**
+     * Fetch a currency's USD rate as a Yahoo currency pair through the AllOrigins proxy
+     */
+    async fetchFxRate(currency) {
+        const providerId = 'yahoo-proxy';
+        const provider = this.quoteProviders[providerId];
+        if (!this.isProviderAvailable(providerId)) return false;
+        
+        try {
+            this.recordProviderRequest(providerId);
+            const response = await this.fetchWithTimeout(provider.buildHistoryUrl(`${currency}USD=X`, '5d', '1d'), provider.timeout);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const data = await response.json();
+            const { price } = this.getYahooQuoteDetails(this.extractYahooChartResult({ providerId, data }));
+            if (!price || price <= 0) throw new Error('No rate in chart response');
+            
+            this.fxRates[currency] = { rate: price, fetchedAt: Date.now() };
+            return true;
+        } catch (error) {
+            console.log(`FX rate fetch failed for ${currency}USD=X (${error.message}), using ${this.fxRates[currency] ? 'cached' : 'fallback'} rate`);
+            return false;
+        }
+    }
+    
+    /**
+     * Redraw everything that shows money after the display currency or a rate changes
+     */
+    refreshCurrencyDisplays() {
+        if (this.currentStockData) {
+            this.displayStockData(this.currentStock, this.currentStockData);
+        }
+        this.renderWatchlists();
+        this.renderPortfolio();
+        this.updateAlertsDisplay();
+        this.updateAlertHistoryDisplay();
+    }
+    
+    // Internationalization
+    /**
+     * UI message catalog. Values may contain {placeholders}; plural messages are objects keyed by
+     * Intl.PluralRules category ("one", "other", ...). Missing keys fall back to English.
+     */
+    getMessageCatalog() {
+        return {
+            en: {
+                'header.title': 'Stock Price Calculator',
+                'header.subtitle': 'Professional stock analysis with real-time alerts and projections',
+                'header.listingCurrency': 'Listing currency',
+                'header.browserFormat': 'Browser format',
+                'aria.displayCurrency': 'Display currency',
+                'aria.locale': 'Number and date format',
+                'aria.language': 'Language',
+                'aria.darkMode': 'Toggle dark mode',
+                'aria.moveListLeft': 'Move watchlist left',
+                'aria.moveListRight': 'Move watchlist right',
+                'aria.chartRange': 'Chart range',
+                'aria.chartType': 'Chart type',
+                'aria.priceAdjustment': 'Price adjustment',
+                'aria.smaPeriod': 'SMA period',
+                'aria.emaPeriod': 'EMA period',
+                'aria.bollingerPeriod': 'Bollinger period',
+                'aria.bollingerStdDev': 'Bollinger standard deviations',
+                'aria.rsiPeriod': 'RSI period',
+                'aria.macdFast': 'MACD fast period',
+                'aria.macdSlow': 'MACD slow period',
+                'aria.macdSignal': 'MACD signal period',
+                'aria.positionUnit': 'Position size unit',
+                'aria.targetPresets': 'Target presets',
+                'aria.stopUnit': 'Stop-loss unit',
+                'aria.targetUnit': 'Take-profit unit',
+                'aria.optionSide': 'Buy or sell',
+                'aria.optionType': 'Option type',
+                'common.loading': 'Loading...',
+                'common.add': 'Add',
+                'common.clear': 'Clear',
+                'common.na': 'N/A',
+                'common.moveUp': 'Move up',
+                'common.moveDown': 'Move down',
+                'common.loadSymbol': 'Load {symbol}',
+                'input.offlineTitle': 'Fully Functional Offline!',
+                'input.placeholder': 'Try: AAPL, GOOGL, TSLA, or DEMO',
+                'input.search': 'Get Price',
+                'recent.title': 'Recent Searches',
+                'providers.title': 'Data Sources',
+                'providers.apiKey': 'API key',
+                'providers.keyRequired': 'Key required',
+                'providers.noLimit': 'no limit',
+                'providers.perMinute': '{count}/min',
+                'providers.perDay': '{count}/day',
+                'providers.help': 'Providers are tried from top to bottom; the next one is used automatically when a request fails or a rate limit is reached.',
+                'table.symbol': 'Symbol',
+                'table.last': 'Last',
+                'table.change': 'Change',
+                'table.shares': 'Shares',
+                'table.avgCost': 'Avg Cost',
+                'table.value': 'Value',
+                'table.pnl': 'P&L',
+                'table.day': 'Day',
+                'table.weight': 'Weight',
+                'watchlist.title': 'Watchlists',
+                'watchlist.new': '+ New',
+                'watchlist.rename': 'Rename',
+                'watchlist.delete': 'Delete',
+                'watchlist.addPlaceholder': 'Add ticker, e.g. NVDA',
+                'watchlist.addCurrent': 'Add Current Stock',
+                'watchlist.empty': 'No symbols yet - add a ticker above',
+                'watchlist.needOne': 'You need at least one watchlist',
+                'watchlist.duplicate': '{symbol} is already in {list}',
+                'watchlist.defaultName': 'My Watchlist',
+                'watchlist.newPrompt': 'Name for the new watchlist:',
+                'watchlist.renamePrompt': 'Rename watchlist:',
+                'watchlist.deleteConfirm': 'Delete the watchlist "{list}"?',
+                'watchlist.remove': 'Remove {symbol}',
+                'portfolio.title': 'Portfolio',
+                'portfolio.ticker': 'Ticker',
+                'portfolio.pricePaid': 'Price paid',
+                'portfolio.fees': 'Fees',
+                'portfolio.useCurrent': 'Use Current',
+                'portfolio.addLot': 'Add Lot',
+                'portfolio.marketValue': 'Market Value',
+                'portfolio.unrealized': 'Unrealized P&L',
+                'portfolio.dayChange': 'Day Change',
+                'portfolio.empty': 'No holdings yet - add a purchase lot above',
+                'portfolio.mixed': 'Mixed currencies',
+                'portfolio.needTicker': 'Please enter a ticker for the holding',
+                'portfolio.invalidLot': 'Shares and purchase price must be positive numbers',
+                'portfolio.lot': '{shares} @ {price} on {date}',
+                'portfolio.lotWithFees': '{shares} @ {price} on {date} + {fees} fees',
+                'portfolio.removeLot': 'Remove lot',
+                'stock.loading': 'Loading stock data...',
+                'stock.currentPrice': 'Current Price:',
+                'stock.tradingData': 'Trading Data',
+                'stock.dayRange': "Day's Range:",
+                'stock.weekHigh': '52W High:',
+                'stock.weekLow': '52W Low:',
+                'stock.volume': 'Volume:',
+                'stock.financialMetrics': 'Financial Metrics',
+                'stock.marketCap': 'Market Cap:',
+                'stock.peRatio': 'P/E Ratio:',
+                'stock.target': '1Y Target Est:',
+                'stock.nextEarnings': 'Next Earnings:',
+                'stock.dividend': 'Dividend (Yield):',
+                'stock.exDividend': 'Ex-Dividend:',
+                'stock.payDate': 'Pay Date:',
+                'stock.tbd': 'TBD',
+                'data.live': '🔴 Live Data',
+                'data.liveFrom': '🔴 Live Data · {source}',
+                'data.static': '📊 Static Data',
+                'data.lastUpdated': 'Last Updated: {time}',
+                'troubleshooting.title': 'Troubleshooting Tips',
+                'troubleshooting.intro': "If you're seeing this error repeatedly:",
+                'troubleshooting.refresh': 'Try refreshing the page (Ctrl+F5 or Cmd+Shift+R)',
+                'troubleshooting.ticker': 'Check that the ticker symbol exists (try AAPL, GOOGL, or MSFT)',
+                'troubleshooting.connection': 'Ensure you have a stable internet connection',
+                'troubleshooting.later': 'Try accessing the page later (services may be temporarily down)',
+                'troubleshooting.developersLabel': 'For developers:',
+                'troubleshooting.developers': 'Consider hosting on HTTPS or using a proper CORS proxy for production use.',
+                'chart.title': '{range} Price History',
+                'chart.simulated': '{title} (simulated)',
+                'chart.adjusted': 'Adjusted',
+                'chart.rawPrices': 'Raw',
+                'chart.raw': '{title} (unadjusted)',
+                'chart.price': 'Price',
+                'chart.priceAxis': 'Price ({currency})',
+                'chart.timeAxis': 'Time',
+                'chart.dateAxis': 'Date',
+                'chart.volume': 'Volume',
+                'chart.tooltipOpen': 'Open: {value}',
+                'chart.tooltipHigh': 'High: {value}',
+                'chart.tooltipLow': 'Low: {value}',
+                'chart.tooltipClose': 'Close: {value}',
+                'chart.tooltipVolume': 'Volume: {value}',
+                'chart.bollingerUpper': '{label} Upper',
+                'chart.bollingerLower': '{label} Lower',
+                'chart.macdSignal': 'Signal {period}',
+                'chart.macdHistogram': 'Histogram',
+                'chart.markerSplitShort': 'S',
+                'chart.markerDividendShort': 'D',
+                'chart.markerEarningsShort': 'E',
+                'chart.markerSplit': 'Split {ratio}',
+                'chart.markerDividend': 'Dividend {amount}',
+                'chart.markerEarnings': 'Earnings',
+                'chart.markerEarningsEstimated': 'Earnings (estimated date)',
+                'chart.indicators': 'Indicators',
+                'chart.line': 'Line',
+                'chart.area': 'Area',
+                'chart.candles': 'Candles',
+                'chartRange.1D': '1-Day',
+                'chartRange.5D': '5-Day',
+                'chartRange.1M': '30-Day',
+                'chartRange.6M': '6-Month',
+                'chartRange.YTD': 'Year-to-Date',
+                'chartRange.1Y': '1-Year',
+                'chartRange.5Y': '5-Year',
+                'earnings.today': '{date} (Today!)',
+                'earnings.tomorrow': '{date} (Tomorrow)',
+                'earnings.inDays': { one: '{date} ({count} day)', other: '{date} ({count} days)' },
+                'earnings.daysAgo': { one: '{date} ({count} day ago)', other: '{date} ({count} days ago)' },
+                'market.status': 'Market Status',
+                'market.closed': 'Market Closed',
+                'market.closedWeekend': 'Market Closed - Weekend',
+                'market.closedHoliday': 'Market Closed - {holiday}',
+                'market.preMarket': 'Pre-Market Trading',
+                'market.break': 'Lunch Break',
+                'market.open': 'Market Open',
+                'market.openEarlyClose': 'Market Open - Early Close ({holiday})',
+                'market.afterHours': 'After-Hours Trading',
+                'market.opensAt': 'Market opens at {time}',
+                'market.preMarketAt': 'Pre-market starts at {time}',
+                'market.resumesAt': 'Trading resumes at {time}',
+                'market.breakAt': 'Lunch break at {time}',
+                'market.closesAt': 'Market closes at {time}',
+                'market.afterHoursEnds': 'After-hours ends at {time}',
+                'market.nextOpen': 'Next open: {date} at {time}',
+                'market.notScheduled': 'Next open: not scheduled',
+                'market.opensIn': 'opens in {countdown}',
+                'market.closesIn': 'closes in {countdown}',
+                'projection.title': 'Price Projection Calculator',
+                'projection.intro': 'Enter a stock ticker above to start calculating price projections',
+                'projection.priceChange': 'Price Change:',
+                'projection.dropsBy': 'Price drops by',
+                'projection.risesBy': 'Price rises by',
+                'projection.percentage': 'Percentage:',
+                'projection.calculate': 'Calculate',
+                'projection.projectedPrice': 'Projected Price:',
+                'projection.difference': 'Difference:',
+                'projection.yourPosition': 'Your Position:',
+                'projection.drop': 'Price Drop',
+                'projection.rise': 'Price Rise',
+                'projection.needTicker': 'Please enter a stock ticker first to calculate projections',
+                'projection.invalidPercent': 'Please enter a percentage greater than 0',
+                'projection.invalidDrop': 'Please enter a drop between 0 and 100%',
+                'position.size': 'Position Size:',
+                'position.shares': 'shares',
+                'position.amount': 'amount ({currency})',
+                'position.value': 'Position Value:',
+                'position.valueOf': '{value} ({shares} shares)',
+                'position.pnl': 'Position P&L:',
+                'scenario.title': 'Scenario Ladder',
+                'scenario.range': 'Range ±',
+                'scenario.step': 'Step',
+                'scenario.export': 'Export CSV',
+                'scenario.move': 'Move',
+                'scenario.price': 'Price',
+                'scenario.change': 'Change / Share',
+                'scenario.positionValue': 'Position Value',
+                'scenario.positionPnl': 'Position P&L',
+                'growth.title': 'Growth Projection',
+                'growth.rate': 'Annual Growth:',
+                'growth.years': 'Years:',
+                'growth.contribution': 'Yearly Contribution:',
+                'growth.useHistory': 'Use Chart CAGR',
+                'growth.useHistoryValue': 'Use {range} CAGR ({rate})',
+                'growth.year': 'Year',
+                'growth.contributed': 'Contributed',
+                'growth.summary': { one: 'After {years} year at {rate} a year: {price} ({change}).', other: 'After {years} years at {rate} a year: {price} ({change}).' },
+                'growth.positionSummary': 'Position worth {value} from {contributed} invested.',
+                'growth.targetBy': 'Analyst target by:',
+                'growth.implied': 'Reaching the analyst target of {target} by {date} implies a CAGR of {cagr} ({total} in total)',
+                'growth.noTarget': 'No analyst target price available for {symbol}',
+                'growth.futureDate': 'Pick a date in the future',
+                'growth.invalidRate': 'Please enter an annual growth rate above -100%',
+                'trade.title': 'Trade Planner',
+                'trade.side': 'Direction:',
+                'trade.long': 'Long',
+                'trade.short': 'Short',
+                'trade.entryPrice': 'Entry Price:',
+                'trade.stopLoss': 'Stop-Loss:',
+                'trade.takeProfit': 'Take-Profit:',
+                'trade.percentFromEntry': '% from entry',
+                'trade.price': 'price',
+                'trade.accountSize': 'Account Size:',
+                'trade.maxRisk': 'Max Risk:',
+                'trade.showOnChart': 'Show on chart',
+                'trade.createAlerts': 'Create Alerts',
+                'trade.entry': 'Entry',
+                'trade.stop': 'Stop',
+                'trade.target': 'Target',
+                'trade.riskReward': 'Risk / Reward:',
+                'trade.breakEven': 'Break-even Win Rate:',
+                'trade.positionSize': 'Position Size:',
+                'trade.maxLoss': 'Loss at Stop:',
+                'trade.potentialProfit': 'Profit at Target:',
+                'trade.levelWithMove': '{price} ({percent})',
+                'trade.sharesValue': { one: '{shares} share ({value})', other: '{shares} shares ({value})' },
+                'trade.needEntry': 'Enter an entry price',
+                'trade.needLevels': 'Enter a stop-loss and a take-profit level',
+                'trade.invalidLong': 'For a long trade the stop-loss must be below the entry and the take-profit above it',
+                'trade.invalidShort': 'For a short trade the stop-loss must be above the entry and the take-profit below it',
+                'trade.needAccount': 'Enter an account size and max risk to size the position',
+                'trade.riskTooSmall': 'The risk budget is smaller than the loss on one share',
+                'trade.limitedByAccount': 'Position capped by account size; the loss at stop is below the risk budget',
+                'trade.alertsCreated': 'Stop-loss and take-profit alerts added for {symbol}',
+                'options.title': 'Options P&L',
+                'options.call': 'Call',
+                'options.put': 'Put',
+                'options.buy': 'Buy',
+                'options.sell': 'Sell',
+                'options.strike': 'Strike',
+                'options.expiry': 'Expiry',
+                'options.premium': 'Premium',
+                'options.premiumPlaceholder': 'Premium (blank = theoretical)',
+                'options.contracts': 'Contracts',
+                'options.addLeg': 'Add Leg',
+                'options.removeLeg': 'Remove leg',
+                'options.valuationDate': 'Value on:',
+                'options.volatility': 'Implied Volatility:',
+                'options.riskFree': 'Risk-free Rate:',
+                'options.leg': 'Leg',
+                'options.valueAtExpiry': 'Value at Expiry',
+                'options.pnlAtExpiry': 'P&L at Expiry',
+                'options.theoretical': 'Theoretical',
+                'options.theoreticalOn': 'Theoretical P&L on {date}',
+                'options.atExpiry': 'P&L at expiry',
+                'options.underlying': 'Underlying',
+                'options.underlyingAxis': 'Underlying Price',
+                'options.pnlAxis': 'Profit / Loss',
+                'options.total': 'Total',
+                'options.legLabel': { one: '{side} {contracts} {type} {strike}', other: '{side} {contracts} {type}s {strike}' },
+                'options.underlyingCurrent': '{symbol} at its current {price}, valued on {date}',
+                'options.underlyingMove': '{symbol} at {price} ({move} from the projection calculator), valued on {date}',
+                'options.empty': 'Add a call or put on {symbol} to see its payoff',
+                'options.invalidLeg': 'Strike and contracts must be positive and the expiry a valid date',
+                'options.expired': 'The expiry date has already passed',
+                'dividend.none': 'None',
+                'dividend.value': '{amount} ({yield})',
+                'dividend.estimated': '{date} (est.)',
+                'dividend.frequency': { one: 'Paid once a year', other: 'Paid {count} times a year' },
+                'projection.reinvestDividends': 'Reinvest dividends',
+                'projection.totalReturn': 'Total Return (12M):',
+                'projection.totalReturnValue': '{percent} ({amount}, incl. {yield} yield)',
+                'growth.totalReturn': 'Total Return',
+                'growth.dividendSummary': 'With dividends reinvested at a {yield} yield the total return is {total}.',
+                'compare.placeholder': 'Compare with… (e.g. QQQ)',
+                'compare.add': 'Compare',
+                'compare.remove': 'Stop comparing {symbol}',
+                'compare.invalid': '"{symbol}" is not a valid symbol',
+                'compare.same': '{symbol} is already the loaded stock',
+                'compare.duplicate': '{symbol} is already being compared',
+                'compare.limit': { one: 'You can compare up to {count} symbol', other: 'You can compare up to {count} symbols' },
+                'compare.axis': 'Change (%)',
+                'compare.start': 'Start',
+                'compare.totalReturn': 'Total Return',
+                'compare.simulated': '(simulated)',
+                'compare.caption': 'Total return over the {range} range',
+                'stats.title': 'Risk & Benchmark Statistics',
+                'stats.benchmark': 'Benchmark:',
+                'stats.statistic': 'Statistic',
+                'stats.beta': 'Beta',
+                'stats.correlation': 'Correlation',
+                'stats.relativeStrength': 'Relative Strength',
+                'stats.totalReturn': 'Total Return',
+                'stats.volatility': 'Volatility (annualized)',
+                'stats.maxDrawdown': 'Max Drawdown',
+                'stats.sharpe': 'Sharpe Ratio',
+                'stats.caption': { one: 'From {count} paired return over the {range} range; Sharpe uses a {riskFree} risk-free rate', other: 'From {count} paired returns over the {range} range; Sharpe uses a {riskFree} risk-free rate' },
+                'stats.notEnoughData': 'Not enough overlapping history in this range to compute statistics',
+                'stats.synthetic': '⚠️ Synthetic data: {symbols} prices are simulated, so these statistics do not describe real performance.',
+                'reverse.title': 'Reverse Calculator',
+                'reverse.targetPrice': 'Target Price:',
+                'reverse.analystTarget': 'Analyst Target',
+                'reverse.weekHigh': '52W High',
+                'reverse.weekLow': '52W Low',
+                'reverse.drawdown': 'Drawdown:',
+                'reverse.enterTarget': 'Enter a target price or pick a preset to see the move required',
+                'reverse.required': 'Reaching {target} from {current} needs a {percent} move ({difference} per share)',
+                'reverse.recovery': 'A {drawdown} decline needs a {gain} gain to get back to even',
+                'reverse.invalidDrawdown': 'Enter a drawdown between 0 and 100%',
+                'alerts.title': 'Price Alerts',
+                'alerts.type': 'Alert Type:',
+                'alerts.value': 'Value:',
+                'alerts.afterFiring': 'After Firing:',
+                'alerts.set': 'Set Alert',
+                'alerts.active': 'Active Alerts',
+                'alerts.history': 'Alert History',
+                'alerts.export': 'Export CSV',
+                'alerts.none': 'No active alerts',
+                'alerts.historyNone': 'No alerts have fired yet',
+                'alerts.item': '{symbol}: Alert me when {condition}',
+                'alerts.historyItem': '{condition} at {price} (set at {created})',
+                'alerts.rearm': 'Re-arm',
+                'alerts.remove': 'Remove',
+                'alerts.notificationTitle': 'Price Alert!',
+                'alerts.notification': '{symbol}: {condition}! Current price: {price}',
+                'alerts.needValue': 'Please enter a value greater than 0',
+                'alerts.dropLimit': 'A price cannot drop by 100% or more',
+                'alerts.noAvgVolume': 'No average volume available for {symbol}',
+                'alerts.no52Week': 'No 52-week range available for {symbol}',
+                'alerts.noHistory': 'No alert history to export',
+                'alerts.clearHistoryConfirm': 'Clear the alert history?',
+                'alerts.csvTriggeredAt': 'Triggered At',
+                'alerts.csvType': 'Type',
+                'alerts.csvCondition': 'Condition',
+                'alerts.csvTriggerPrice': 'Trigger Price',
+                'alerts.csvCreatedPrice': 'Price When Set',
+                'alertType.drop': 'Price drops by',
+                'alertType.rise': 'Price rises by',
+                'alertType.above': 'Price is at or above',
+                'alertType.below': 'Price is at or below',
+                'alertType.cross-above': 'Price crosses above',
+                'alertType.cross-below': 'Price crosses below',
+                'alertType.change-up': 'Up vs previous close by',
+                'alertType.change-down': 'Down vs previous close by',
+                'alertType.volume': 'Volume exceeds average by',
+                'alertType.high52': 'New 52-week high',
+                'alertType.low52': 'New 52-week low',
+                'alertDesc.drop': 'price drops {value}% to {target}',
+                'alertDesc.rise': 'price rises {value}% to {target}',
+                'alertDesc.above': 'price is at or above {target}',
+                'alertDesc.below': 'price is at or below {target}',
+                'alertDesc.cross-above': 'price crosses above {target}',
+                'alertDesc.cross-below': 'price crosses below {target}',
+                'alertDesc.change-up': 'price is up {value}% or more vs previous close',
+                'alertDesc.change-down': 'price is down {value}% or more vs previous close',
+                'alertDesc.volume': 'volume exceeds {value}× average',
+                'alertDesc.high52': 'price breaks above the 52-week high of {target}',
+                'alertDesc.low52': 'price breaks below the 52-week low of {target}',
+                'alertRepeat.once': 'Remove the alert',
+                'alertRepeat.rearm': 'Re-arm when condition clears',
+                'alertRepeat.snooze': 'Snooze for 1 hour',
+                'alertRepeat.session': 'Once per trading session',
+                'alertMode.once': 'Fires once',
+                'alertMode.rearm': 'Re-arms when the condition clears',
+                'alertMode.snooze': 'Snoozes {minutes} min after firing',
+                'alertMode.session': 'Once per trading session',
+                'alertStatus.snoozed': '{mode} · snoozed until {time}',
+                'alertStatus.firedSession': '{mode} · fired this session',
+                'alertStatus.waiting': '{mode} · waiting for the condition to clear',
+                'refresh.title': 'Auto-Refresh Settings',
+                'refresh.every': 'Update every:',
+                'refresh.start': 'Start Auto-Refresh',
+                'refresh.stop': 'Stop Auto-Refresh',
+                'refresh.off': 'Auto-refresh: OFF',
+                'refresh.on': 'Auto-refresh: ON (every {interval})',
+                'refresh.minutes': { one: '{count} minute', other: '{count} minutes' },
+                'refresh.hours': { one: '{count} hour', other: '{count} hours' },
+                'notifications.prompt': 'Enable desktop notifications to receive price alerts?',
+                'notifications.enable': 'Enable Notifications',
+                'notifications.dismiss': 'No Thanks',
+                'error.needTicker': 'Please enter a stock ticker symbol',
+                'error.needStock': 'Please fetch a stock price first',
+                'error.generic': 'An error occurred while fetching stock data.',
+                'error.invalidTicker': 'Invalid ticker symbol. Please check the symbol and try again.',
+                'error.cors': 'Unable to access stock data due to browser security restrictions. Please try refreshing the page or using a different ticker.',
+                'error.network': 'Network error. Please check your internet connection and try again.',
+                'error.notFound': 'Stock not found. Please verify the ticker symbol is correct.',
+                'error.rateLimit': 'Too many requests. Please wait a moment and try again.',
+                'error.unavailable': 'Stock data service temporarily unavailable. Please try again in a few minutes.',
+                'error.timeout': 'Request timed out. Please check your connection and try again.',
+                'error.allSources': 'All stock data sources are currently unavailable. This may be due to:\n• Network connectivity issues\n• API service maintenance\n• Browser security restrictions\n\nTry using demo tickers: AAPL, GOOGL, MSFT, TSLA, DEMO, or TEST to see how the app works offline.',
+                'error.offline': 'No internet connection. Please check your network and try again.'
+            },
+            es: {
+                'header.title': 'Calculadora de Precios de Acciones',
+                'header.subtitle': 'Análisis bursátil profesional con alertas y proyecciones en tiempo real',
+                'header.listingCurrency': 'Moneda de cotización',
+                'header.browserFormat': 'Formato del navegador',
+                'aria.displayCurrency': 'Moneda de visualización',
+                'aria.locale': 'Formato de números y fechas',
+                'aria.language': 'Idioma',
+                'aria.darkMode': 'Cambiar modo oscuro',
+                'aria.moveListLeft': 'Mover lista a la izquierda',
+                'aria.moveListRight': 'Mover lista a la derecha',
+                'aria.chartRange': 'Rango del gráfico',
+                'aria.chartType': 'Tipo de gráfico',
+                'aria.priceAdjustment': 'Ajuste de precios',
+                'aria.smaPeriod': 'Periodo SMA',
+                'aria.emaPeriod': 'Periodo EMA',
+                'aria.bollingerPeriod': 'Periodo Bollinger',
+                'aria.bollingerStdDev': 'Desviaciones típicas de Bollinger',
+                'aria.rsiPeriod': 'Periodo RSI',
+                'aria.macdFast': 'Periodo rápido MACD',
+                'aria.macdSlow': 'Periodo lento MACD',
+                'aria.macdSignal': 'Periodo de señal MACD',
+                'aria.positionUnit': 'Unidad del tamaño de posición',
+                'aria.targetPresets': 'Objetivos predefinidos',
+                'aria.stopUnit': 'Unidad del stop-loss',
+                'aria.targetUnit': 'Unidad del take-profit',
+                'aria.optionSide': 'Compra o venta',
+                'aria.optionType': 'Tipo de opción',
+                'common.loading': 'Cargando...',
+                'common.add': 'Añadir',
+                'common.clear': 'Borrar',
+                'common.na': 'N/D',
+                'common.moveUp': 'Subir',
+                'common.moveDown': 'Bajar',
+                'common.loadSymbol': 'Cargar {symbol}',
+                'input.offlineTitle': '¡Totalmente funcional sin conexión!',
+                'input.placeholder': 'Prueba: AAPL, GOOGL, TSLA o DEMO',
+                'input.search': 'Obtener precio',
+                'recent.title': 'Búsquedas recientes',
+                'providers.title': 'Fuentes de datos',
+                'providers.apiKey': 'Clave de API',
+                'providers.keyRequired': 'Requiere clave',
+                'providers.noLimit': 'sin límite',
+                'providers.perMinute': '{count}/min',
+                'providers.perDay': '{count}/día',
+                'providers.help': 'Los proveedores se prueban de arriba abajo; se usa el siguiente automáticamente cuando una solicitud falla o se alcanza un límite de uso.',
+                'table.symbol': 'Símbolo',
+                'table.last': 'Último',
+                'table.change': 'Cambio',
+                'table.shares': 'Acciones',
+                'table.avgCost': 'Coste medio',
+                'table.value': 'Valor',
+                'table.pnl': 'G/P',
+                'table.day': 'Día',
+                'table.weight': 'Peso',
+                'watchlist.title': 'Listas de seguimiento',
+                'watchlist.new': '+ Nueva',
+                'watchlist.rename': 'Renombrar',
+                'watchlist.delete': 'Eliminar',
+                'watchlist.addPlaceholder': 'Añadir ticker, p. ej. NVDA',
+                'watchlist.addCurrent': 'Añadir acción actual',
+                'watchlist.empty': 'Aún no hay símbolos: añade un ticker arriba',
+                'watchlist.needOne': 'Necesitas al menos una lista de seguimiento',
+                'watchlist.duplicate': '{symbol} ya está en {list}',
+                'watchlist.defaultName': 'Mi lista',
+                'watchlist.newPrompt': 'Nombre de la nueva lista de seguimiento:',
+                'watchlist.renamePrompt': 'Renombrar lista de seguimiento:',
+                'watchlist.deleteConfirm': '¿Eliminar la lista de seguimiento "{list}"?',
+                'watchlist.remove': 'Quitar {symbol}',
+                'portfolio.title': 'Cartera',
+                'portfolio.ticker': 'Ticker',
+                'portfolio.pricePaid': 'Precio pagado',
+                'portfolio.fees': 'Comisiones',
+                'portfolio.useCurrent': 'Usar actual',
+                'portfolio.addLot': 'Añadir lote',
+                'portfolio.marketValue': 'Valor de mercado',
+                'portfolio.unrealized': 'G/P no realizada',
+                'portfolio.dayChange': 'Cambio del día',
+                'portfolio.empty': 'Aún no hay posiciones: añade un lote de compra arriba',
+                'portfolio.mixed': 'Monedas mixtas',
+                'portfolio.needTicker': 'Introduce un ticker para la posición',
+                'portfolio.invalidLot': 'Las acciones y el precio de compra deben ser números positivos',
+                'portfolio.lot': '{shares} a {price} el {date}',
+                'portfolio.lotWithFees': '{shares} a {price} el {date} + {fees} de comisiones',
+                'portfolio.removeLot': 'Eliminar lote',
+                'stock.loading': 'Cargando datos de la acción...',
+                'stock.currentPrice': 'Precio actual:',
+                'stock.tradingData': 'Datos de negociación',
+                'stock.dayRange': 'Rango del día:',
+                'stock.weekHigh': 'Máx. 52 sem.:',
+                'stock.weekLow': 'Mín. 52 sem.:',
+                'stock.volume': 'Volumen:',
+                'stock.financialMetrics': 'Métricas financieras',
+                'stock.marketCap': 'Capitalización:',
+                'stock.peRatio': 'PER:',
+                'stock.target': 'Objetivo 1 año:',
+                'stock.nextEarnings': 'Próximos resultados:',
+                'stock.dividend': 'Dividendo (rentab.):',
+                'stock.exDividend': 'Fecha ex-dividendo:',
+                'stock.payDate': 'Fecha de pago:',
+                'stock.tbd': 'Por confirmar',
+                'data.live': '🔴 Datos en vivo',
+                'data.liveFrom': '🔴 Datos en vivo · {source}',
+                'data.static': '📊 Datos estáticos',
+                'data.lastUpdated': 'Última actualización: {time}',
+                'troubleshooting.title': 'Consejos para solucionar problemas',
+                'troubleshooting.intro': 'Si ves este error repetidamente:',
+                'troubleshooting.refresh': 'Prueba a recargar la página (Ctrl+F5 o Cmd+Shift+R)',
+                'troubleshooting.ticker': 'Comprueba que el símbolo existe (prueba AAPL, GOOGL o MSFT)',
+                'troubleshooting.connection': 'Asegúrate de tener una conexión a internet estable',
+                'troubleshooting.later': 'Vuelve a intentarlo más tarde (los servicios pueden estar caídos temporalmente)',
+                'troubleshooting.developersLabel': 'Para desarrolladores:',
+                'troubleshooting.developers': 'Considera servir la página por HTTPS o usar un proxy CORS adecuado en producción.',
+                'chart.title': 'Historial de precios ({range})',
+                'chart.simulated': '{title} (simulado)',
+                'chart.adjusted': 'Ajustado',
+                'chart.rawPrices': 'Sin ajustar',
+                'chart.raw': '{title} (sin ajustar)',
+                'chart.price': 'Precio',
+                'chart.priceAxis': 'Precio ({currency})',
+                'chart.timeAxis': 'Hora',
+                'chart.dateAxis': 'Fecha',
+                'chart.volume': 'Volumen',
+                'chart.tooltipOpen': 'Apertura: {value}',
+                'chart.tooltipHigh': 'Máximo: {value}',
+                'chart.tooltipLow': 'Mínimo: {value}',
+                'chart.tooltipClose': 'Cierre: {value}',
+                'chart.tooltipVolume': 'Volumen: {value}',
+                'chart.bollingerUpper': '{label} superior',
+                'chart.bollingerLower': '{label} inferior',
+                'chart.macdSignal': 'Señal {period}',
+                'chart.macdHistogram': 'Histograma',
+                'chart.markerSplitShort': 'S',
+                'chart.markerDividendShort': 'D',
+                'chart.markerEarningsShort': 'R',
+                'chart.markerSplit': 'Split {ratio}',
+                'chart.markerDividend': 'Dividendo {amount}',
+                'chart.markerEarnings': 'Resultados',
+                'chart.markerEarningsEstimated': 'Resultados (fecha estimada)',
+                'chart.indicators': 'Indicadores',
+                'chart.line': 'Línea',
+                'chart.area': 'Área',
+                'chart.candles': 'Velas',
+                'chartRange.1D': '1 día',
+                'chartRange.5D': '5 días',
+                'chartRange.1M': '30 días',
+                'chartRange.6M': '6 meses',
+                'chartRange.YTD': 'en lo que va de año',
+                'chartRange.1Y': '1 año',
+                'chartRange.5Y': '5 años',
+                'earnings.today': '{date} (¡Hoy!)',
+                'earnings.tomorrow': '{date} (Mañana)',
+                'earnings.inDays': { one: '{date} ({count} día)', other: '{date} ({count} días)' },
+                'earnings.daysAgo': { one: '{date} (hace {count} día)', other: '{date} (hace {count} días)' },
+                'market.status': 'Estado del mercado',
+                'market.closed': 'Mercado cerrado',
+                'market.closedWeekend': 'Mercado cerrado - Fin de semana',
+                'market.closedHoliday': 'Mercado cerrado - {holiday}',
+                'market.preMarket': 'Preapertura',
+                'market.break': 'Pausa del mediodía',
+                'market.open': 'Mercado abierto',
+                'market.openEarlyClose': 'Mercado abierto - Cierre anticipado ({holiday})',
+                'market.afterHours': 'Negociación fuera de horario',
+                'market.opensAt': 'El mercado abre a las {time}',
+                'market.preMarketAt': 'La preapertura empieza a las {time}',
+                'market.resumesAt': 'La negociación se reanuda a las {time}',
+                'market.breakAt': 'Pausa del mediodía a las {time}',
+                'market.closesAt': 'El mercado cierra a las {time}',
+                'market.afterHoursEnds': 'La sesión fuera de horario termina a las {time}',
+                'market.nextOpen': 'Próxima apertura: {date} a las {time}',
+                'market.notScheduled': 'Próxima apertura: sin programar',
+                'market.opensIn': 'abre en {countdown}',
+                'market.closesIn': 'cierra en {countdown}',
+                'projection.title': 'Calculadora de proyección de precios',
+                'projection.intro': 'Introduce un ticker arriba para empezar a calcular proyecciones de precio',
+                'projection.priceChange': 'Cambio de precio:',
+                'projection.dropsBy': 'El precio baja un',
+                'projection.risesBy': 'El precio sube un',
+                'projection.percentage': 'Porcentaje:',
+                'projection.calculate': 'Calcular',
+                'projection.projectedPrice': 'Precio proyectado:',
+                'projection.difference': 'Diferencia:',
+                'projection.yourPosition': 'Tu posición:',
+                'projection.drop': 'Bajada de precio',
+                'projection.rise': 'Subida de precio',
+                'projection.needTicker': 'Introduce primero un ticker para calcular proyecciones',
+                'projection.invalidPercent': 'Introduce un porcentaje mayor que 0',
+                'projection.invalidDrop': 'Introduce una bajada entre 0 y 100%',
+                'position.size': 'Tamaño de posición:',
+                'position.shares': 'acciones',
+                'position.amount': 'importe ({currency})',
+                'position.value': 'Valor de la posición:',
+                'position.valueOf': '{value} ({shares} acciones)',
+                'position.pnl': 'G/P de la posición:',
+                'scenario.title': 'Escalera de escenarios',
+                'scenario.range': 'Rango ±',
+                'scenario.step': 'Paso',
+                'scenario.export': 'Exportar CSV',
+                'scenario.move': 'Movimiento',
+                'scenario.price': 'Precio',
+                'scenario.change': 'Cambio / acción',
+                'scenario.positionValue': 'Valor de la posición',
+                'scenario.positionPnl': 'G/P de la posición',
+                'growth.title': 'Proyección de crecimiento',
+                'growth.rate': 'Crecimiento anual:',
+                'growth.years': 'Años:',
+                'growth.contribution': 'Aportación anual:',
+                'growth.useHistory': 'Usar TCAC del gráfico',
+                'growth.useHistoryValue': 'Usar TCAC de {range} ({rate})',
+                'growth.year': 'Año',
+                'growth.contributed': 'Aportado',
+                'growth.summary': { one: 'Tras {years} año al {rate} anual: {price} ({change}).', other: 'Tras {years} años al {rate} anual: {price} ({change}).' },
+                'growth.positionSummary': 'Posición valorada en {value} con {contributed} invertidos.',
+                'growth.targetBy': 'Objetivo de analistas para:',
+                'growth.implied': 'Alcanzar el objetivo de analistas de {target} para el {date} implica una TCAC de {cagr} ({total} en total)',
+                'growth.noTarget': 'No hay precio objetivo de analistas para {symbol}',
+                'growth.futureDate': 'Elige una fecha futura',
+                'growth.invalidRate': 'Introduce un crecimiento anual superior a -100%',
+                'trade.title': 'Planificador de operaciones',
+                'trade.side': 'Dirección:',
+                'trade.long': 'Largo',
+                'trade.short': 'Corto',
+                'trade.entryPrice': 'Precio de entrada:',
+                'trade.stopLoss': 'Stop-loss:',
+                'trade.takeProfit': 'Take-profit:',
+                'trade.percentFromEntry': '% desde la entrada',
+                'trade.price': 'precio',
+                'trade.accountSize': 'Tamaño de la cuenta:',
+                'trade.maxRisk': 'Riesgo máximo:',
+                'trade.showOnChart': 'Mostrar en el gráfico',
+                'trade.createAlerts': 'Crear alertas',
+                'trade.entry': 'Entrada',
+                'trade.stop': 'Stop',
+                'trade.target': 'Objetivo',
+                'trade.riskReward': 'Riesgo / beneficio:',
+                'trade.breakEven': 'Tasa de acierto de equilibrio:',
+                'trade.positionSize': 'Tamaño de la posición:',
+                'trade.maxLoss': 'Pérdida en el stop:',
+                'trade.potentialProfit': 'Beneficio en el objetivo:',
+                'trade.levelWithMove': '{price} ({percent})',
+                'trade.sharesValue': { one: '{shares} acción ({value})', other: '{shares} acciones ({value})' },
+                'trade.needEntry': 'Introduce un precio de entrada',
+                'trade.needLevels': 'Introduce un nivel de stop-loss y de take-profit',
+                'trade.invalidLong': 'En una operación larga el stop-loss debe estar por debajo de la entrada y el take-profit por encima',
+                'trade.invalidShort': 'En una operación corta el stop-loss debe estar por encima de la entrada y el take-profit por debajo',
+                'trade.needAccount': 'Introduce el tamaño de la cuenta y el riesgo máximo para dimensionar la posición',
+                'trade.riskTooSmall': 'El presupuesto de riesgo es menor que la pérdida de una acción',
+                'trade.limitedByAccount': 'Posición limitada por el tamaño de la cuenta; la pérdida en el stop queda por debajo del presupuesto de riesgo',
+                'trade.alertsCreated': 'Alertas de stop-loss y take-profit añadidas para {symbol}',
+                'options.title': 'P&L de opciones',
+                'options.call': 'Call',
+                'options.put': 'Put',
+                'options.buy': 'Compra',
+                'options.sell': 'Venta',
+                'options.strike': 'Strike',
+                'options.expiry': 'Vencimiento',
+                'options.premium': 'Prima',
+                'options.premiumPlaceholder': 'Prima (vacía = teórica)',
+                'options.contracts': 'Contratos',
+                'options.addLeg': 'Añadir pata',
+                'options.removeLeg': 'Quitar pata',
+                'options.valuationDate': 'Valorar el:',
+                'options.volatility': 'Volatilidad implícita:',
+                'options.riskFree': 'Tipo sin riesgo:',
+                'options.leg': 'Pata',
+                'options.valueAtExpiry': 'Valor al vencimiento',
+                'options.pnlAtExpiry': 'P&L al vencimiento',
+                'options.theoretical': 'Teórico',
+                'options.theoreticalOn': 'P&L teórico el {date}',
+                'options.atExpiry': 'P&L al vencimiento',
+                'options.underlying': 'Subyacente',
+                'options.underlyingAxis': 'Precio del subyacente',
+                'options.pnlAxis': 'Ganancia / pérdida',
+                'options.total': 'Total',
+                'options.legLabel': { one: '{side} {contracts} {type} {strike}', other: '{side} {contracts} {type}s {strike}' },
+                'options.underlyingCurrent': '{symbol} a su precio actual de {price}, valorado el {date}',
+                'options.underlyingMove': '{symbol} a {price} ({move} según la calculadora de proyección), valorado el {date}',
+                'options.empty': 'Añade una call o una put sobre {symbol} para ver su perfil de pago',
+                'options.invalidLeg': 'El strike y los contratos deben ser positivos y el vencimiento una fecha válida',
+                'options.expired': 'La fecha de vencimiento ya ha pasado',
+                'dividend.none': 'Ninguno',
+                'dividend.value': '{amount} ({yield})',
+                'dividend.estimated': '{date} (est.)',
+                'dividend.frequency': { one: 'Se paga una vez al año', other: 'Se paga {count} veces al año' },
+                'projection.reinvestDividends': 'Reinvertir dividendos',
+                'projection.totalReturn': 'Rentabilidad total (12M):',
+                'projection.totalReturnValue': '{percent} ({amount}, incl. rentabilidad por dividendo del {yield})',
+                'growth.totalReturn': 'Rentabilidad total',
+                'growth.dividendSummary': 'Reinvirtiendo los dividendos con una rentabilidad del {yield}, la rentabilidad total es {total}.',
+                'compare.placeholder': 'Comparar con… (p. ej. QQQ)',
+                'compare.add': 'Comparar',
+                'compare.remove': 'Dejar de comparar {symbol}',
+                'compare.invalid': '"{symbol}" no es un símbolo válido',
+                'compare.same': '{symbol} ya es la acción cargada',
+                'compare.duplicate': '{symbol} ya se está comparando',
+                'compare.limit': { one: 'Puedes comparar hasta {count} símbolo', other: 'Puedes comparar hasta {count} símbolos' },
+                'compare.axis': 'Variación (%)',
+                'compare.start': 'Inicio',
+                'compare.totalReturn': 'Rentabilidad total',
+                'compare.simulated': '(simulado)',
+                'compare.caption': 'Rentabilidad total en el rango de {range}',
+                'stats.title': 'Riesgo y estadísticas frente al índice',
+                'stats.benchmark': 'Índice de referencia:',
+                'stats.statistic': 'Estadística',
+                'stats.beta': 'Beta',
+                'stats.correlation': 'Correlación',
+                'stats.relativeStrength': 'Fuerza relativa',
+                'stats.totalReturn': 'Rentabilidad total',
+                'stats.volatility': 'Volatilidad (anualizada)',
+                'stats.maxDrawdown': 'Caída máxima',
+                'stats.sharpe': 'Ratio de Sharpe',
+                'stats.caption': { one: 'A partir de {count} par de rentabilidades en el rango de {range}; el Sharpe usa un tipo sin riesgo del {riskFree}', other: 'A partir de {count} pares de rentabilidades en el rango de {range}; el Sharpe usa un tipo sin riesgo del {riskFree}' },
+                'stats.notEnoughData': 'No hay suficiente historial común en este rango para calcular las estadísticas',
+                'stats.synthetic': '⚠️ Datos sintéticos: los precios de {symbols} son simulados, así que estas estadísticas no reflejan un rendimiento real.',
+                'reverse.title': 'Calculadora inversa',
+                'reverse.targetPrice': 'Precio objetivo:',
+                'reverse.analystTarget': 'Objetivo analistas',
+                'reverse.weekHigh': 'Máx. 52 sem.',
+                'reverse.weekLow': 'Mín. 52 sem.',
+                'reverse.drawdown': 'Caída:',
+                'reverse.enterTarget': 'Introduce un precio objetivo o elige uno predefinido para ver el movimiento necesario',
+                'reverse.required': 'Llegar a {target} desde {current} requiere un movimiento de {percent} ({difference} por acción)',
+                'reverse.recovery': 'Una caída del {drawdown} necesita una subida del {gain} para recuperarse',
+                'reverse.invalidDrawdown': 'Introduce una caída entre 0 y 100%',
+                'alerts.title': 'Alertas de precio',
+                'alerts.type': 'Tipo de alerta:',
+                'alerts.value': 'Valor:',
+                'alerts.afterFiring': 'Tras dispararse:',
+                'alerts.set': 'Crear alerta',
+                'alerts.active': 'Alertas activas',
+                'alerts.history': 'Historial de alertas',
+                'alerts.export': 'Exportar CSV',
+                'alerts.none': 'No hay alertas activas',
+                'alerts.historyNone': 'Todavía no se ha disparado ninguna alerta',
+                'alerts.item': '{symbol}: Avisarme cuando {condition}',
+                'alerts.historyItem': '{condition} a {price} (creada a {created})',
+                'alerts.rearm': 'Rearmar',
+                'alerts.remove': 'Eliminar',
+                'alerts.notificationTitle': '¡Alerta de precio!',
+                'alerts.notification': '{symbol}: ¡{condition}! Precio actual: {price}',
+                'alerts.needValue': 'Introduce un valor mayor que 0',
+                'alerts.dropLimit': 'Un precio no puede bajar un 100% o más',
+                'alerts.noAvgVolume': 'No hay volumen medio disponible para {symbol}',
+                'alerts.no52Week': 'No hay rango de 52 semanas disponible para {symbol}',
+                'alerts.noHistory': 'No hay historial de alertas para exportar',
+                'alerts.clearHistoryConfirm': '¿Borrar el historial de alertas?',
+                'alerts.csvTriggeredAt': 'Disparada el',
+                'alerts.csvType': 'Tipo',
+                'alerts.csvCondition': 'Condición',
+                'alerts.csvTriggerPrice': 'Precio de disparo',
+                'alerts.csvCreatedPrice': 'Precio al crearla',
+                'alertType.drop': 'El precio baja un',
+                'alertType.rise': 'El precio sube un',
+                'alertType.above': 'El precio está en o por encima de',
+                'alertType.below': 'El precio está en o por debajo de',
+                'alertType.cross-above': 'El precio cruza al alza',
+                'alertType.cross-below': 'El precio cruza a la baja',
+                'alertType.change-up': 'Sube frente al cierre anterior un',
+                'alertType.change-down': 'Baja frente al cierre anterior un',
+                'alertType.volume': 'El volumen supera la media en',
+                'alertType.high52': 'Nuevo máximo de 52 semanas',
+                'alertType.low52': 'Nuevo mínimo de 52 semanas',
+                'alertDesc.drop': 'el precio baje un {value}% hasta {target}',
+                'alertDesc.rise': 'el precio suba un {value}% hasta {target}',
+                'alertDesc.above': 'el precio esté en o por encima de {target}',
+                'alertDesc.below': 'el precio esté en o por debajo de {target}',
+                'alertDesc.cross-above': 'el precio cruce al alza {target}',
+                'alertDesc.cross-below': 'el precio cruce a la baja {target}',
+                'alertDesc.change-up': 'el precio suba un {value}% o más frente al cierre anterior',
+                'alertDesc.change-down': 'el precio baje un {value}% o más frente al cierre anterior',
+                'alertDesc.volume': 'el volumen supere {value}× la media',
+                'alertDesc.high52': 'el precio supere el máximo de 52 semanas de {target}',
+                'alertDesc.low52': 'el precio caiga por debajo del mínimo de 52 semanas de {target}',
+                'alertRepeat.once': 'Eliminar la alerta',
+                'alertRepeat.rearm': 'Rearmar cuando deje de cumplirse',
+                'alertRepeat.snooze': 'Posponer 1 hora',
+                'alertRepeat.session': 'Una vez por sesión',
+                'alertMode.once': 'Se dispara una vez',
+                'alertMode.rearm': 'Se rearma cuando deja de cumplirse',
+                'alertMode.snooze': 'Se pospone {minutes} min tras dispararse',
+                'alertMode.session': 'Una vez por sesión',
+                'alertStatus.snoozed': '{mode} · pospuesta hasta las {time}',
+                'alertStatus.firedSession': '{mode} · disparada en esta sesión',
+                'alertStatus.waiting': '{mode} · esperando a que deje de cumplirse',
+                'refresh.title': 'Actualización automática',
+                'refresh.every': 'Actualizar cada:',
+                'refresh.start': 'Iniciar actualización',
+                'refresh.stop': 'Detener actualización',
+                'refresh.off': 'Actualización automática: NO',
+                'refresh.on': 'Actualización automática: SÍ (cada {interval})',
+                'refresh.minutes': { one: '{count} minuto', other: '{count} minutos' },
+                'refresh.hours': { one: '{count} hora', other: '{count} horas' },
+                'notifications.prompt': '¿Activar notificaciones de escritorio para recibir alertas de precio?',
+                'notifications.enable': 'Activar notificaciones',
+                'notifications.dismiss': 'No, gracias',
+                'error.needTicker': 'Introduce un símbolo de acción',
+                'error.needStock': 'Consulta primero el precio de una acción',
+                'error.generic': 'Se produjo un error al obtener los datos de la acción.',
+                'error.invalidTicker': 'Símbolo no válido. Revisa el símbolo e inténtalo de nuevo.',
+                'error.cors': 'No se puede acceder a los datos por las restricciones de seguridad del navegador. Prueba a recargar la página o a usar otro ticker.',
+                'error.network': 'Error de red. Comprueba tu conexión a internet e inténtalo de nuevo.',
+                'error.notFound': 'Acción no encontrada. Comprueba que el símbolo es correcto.',
+                'error.rateLimit': 'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+                'error.unavailable': 'El servicio de datos no está disponible temporalmente. Inténtalo de nuevo en unos minutos.',
+                'error.timeout': 'La solicitud ha caducado. Comprueba tu conexión e inténtalo de nuevo.',
+                'error.allSources': 'Ninguna fuente de datos está disponible en este momento. Puede deberse a:\n• Problemas de conectividad\n• Mantenimiento del servicio de la API\n• Restricciones de seguridad del navegador\n\nPrueba los tickers de demostración AAPL, GOOGL, MSFT, TSLA, DEMO o TEST para ver cómo funciona la aplicación sin conexión.',
+                'error.offline': 'Sin conexión a internet. Comprueba tu red e inténtalo de nuevo.'
+            }
+        };
+    }
+    
+    initLanguage() {
+        const select = document.getElementById('language-select');
+        if (select) {
+            select.value = this.language;
+            select.addEventListener('change', () => this.setLanguage(select.value));
+        }
+        this.applyTranslations();
+    }
+    
+    setLanguage(language) {
+        if (!this.messages[language]) return;
+        
+        this.language = language;
+        localStorage.setItem(this.languageKey, language);
+        
+        this.applyTranslations();
+        this.renderCompareChips();
+        this.refreshCurrencyDisplays();
+        this.updateMarketStatus();
+        this.updateRefreshControls();
+        this.calculateProjection();
+        this.calculateRequiredMove();
+        this.renderScenarioTable();
+        this.calculateGrowthProjection();
+        this.calculateTradePlan();
+        this.renderOptions();
+    }
+    
+    /**
+     * Translate a message key, filling {placeholders} from params; `count` selects the plural form
+     */
+    t(key, params = {}) {
+        const lookup = (language) => this.messages[language] && this.messages[language][key];
+        let message = lookup(this.language) || lookup('en') || key;
+        
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.language).select(params.count);
+            message = message[category] || message.other;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+    
+    /**
+     * Fill the static markup: data-i18n sets text (data-i18n-count picks the plural form),
+     * data-i18n-placeholder sets input placeholders and data-i18n-aria sets aria-labels
+     */
+    applyTranslations() {
+        document.documentElement.lang = this.language;
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            const params = el.dataset.i18nCount ? { count: Number(el.dataset.i18nCount) } : {};
+            el.textContent = this.t(el.dataset.i18n, params);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+        document.querySelectorAll('[data-i18n-aria]').forEach(el => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nAria));
+        });
+    }
+    
+    // Locale Formatting
+    initLocale() {
+        const select = document.getElementById('locale-select');
+        if (!select) return;
+        
+        select.value = this.locale || '';
+        select.addEventListener('change', () => this.setLocale(select.value || null));
+    }
+    
+    setLocale(locale) {
+        this.locale = locale;
+        if (locale) {
+            localStorage.setItem(this.localeKey, locale);
+        } else {
+            localStorage.removeItem(this.localeKey);
+        }
+        
+        this.refreshCurrencyDisplays();
+        this.updateMarketStatus();
+    }
+    
+    /**
+     * Locale for all numbers and dates: the user's choice, otherwise the browser's as long as it
+     * matches the UI language (a Spanish UI on an en-US browser formats as "es")
+     */
+    getLocale() {
+        if (this.locale) return this.locale;
+        
+        const browserLocale = navigator.language || 'en-US';
+        return browserLocale.split('-')[0] === this.language ? browserLocale : this.language;
+    }
+    
+    /**
+     * Cached Intl.NumberFormat / Intl.DateTimeFormat for the current locale
+     */
+    getFormatter(type, options = {}) {
+        const locale = this.getLocale();
+        const key = `${type}|${locale}|${JSON.stringify(options)}`;
+        
+        if (!this.formatters.has(key)) {
+            const Formatter = type === 'date' ? Intl.DateTimeFormat : Intl.NumberFormat;
+            this.formatters.set(key, new Formatter(locale, options));
+        }
+        return this.formatters.get(key);
+    }
+    
+    formatNumber(value, options = {}) {
+        return this.getFormatter('number', options).format(value);
+    }
+    
+    /**
+     * Short form for large numbers, e.g. 58.5M / 58,5 Mio. / 5850万
+     */
+    formatCompactNumber(value, options = {}) {
+        return this.formatNumber(value, { notation: 'compact', maximumFractionDigits: 1, ...options });
+    }
+    
+    /**
+     * Format a value already expressed in percent (12.5 -> "12.50%")
+     */
+    formatPercent(value, { digits = 2, signed = false } = {}) {
+        return this.formatNumber(value / 100, {
+            style: 'percent',
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits,
+            signDisplay: signed ? 'exceptZero' : 'auto'
+        });
+    }
+    
+    formatDate(date, options = {}) {
+        return this.getFormatter('date', options).format(new Date(date));
+    }
+    
     /**
-     * Format number as currency
+     * Format an amount given in the listing's currency, converting it into the
+     * chosen display currency first when one is set
      */
-    formatCurrency(amount) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(amount);
+    formatCurrency(amount, currency = this.getExchange().currency, options = {}) {
+        if (this.displayCurrency && this.displayCurrency !== currency) {
+            amount = this.convertCurrency(amount, currency, this.displayCurrency);
+            currency = this.displayCurrency;
+        }
+        
+        // London listings are quoted in pence, which Intl has no currency code for
+        if (currency === 'GBp') {
+            return `${this.formatNumber(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2, ...options })}p`;
+        }
+        
+        // Intl picks the currency's own decimal places (2 for USD, 0 for JPY)
+        return this.formatNumber(amount, { style: 'currency', currency: currency, ...options });
     }
 }
 
@@ -2355,7 +8020,7 @@ window.addEventListener('online', () => {
 window.addEventListener('offline', () => {
     console.log('Network connection lost');
     if (window.stockApp) {
-        window.stockApp.showError('No internet connection. Please check your network and try again.');
+        window.stockApp.showError(window.stockApp.t('error.offline'));
         window.stockApp.stopAutoRefresh();
     }
 });
\ No newline at end of file
@@ -0,0 +1,415 @@
+/**
+ * Market Calendar
+ * Exchange definitions, holiday and half-day rules and the regular-session engine.
+ * Kept free of DOM and storage access so it can run under Node for tests.
+ */
+
+// Exchanges: a ticker suffix selects the venue, unsuffixed tickers trade in the US
+const MARKET_EXCHANGES = {
+    US: {
+        id: 'US', name: 'NYSE/Nasdaq', suffixes: [], currency: 'USD',
+        timezone: 'America/New_York', timezoneLabel: 'ET',
+        openHour: 9, openMinute: 30, closeHour: 16, closeMinute: 0,
+        earlyCloseHour: 13, earlyCloseMinute: 0,
+        extendedHours: { preMarketHour: 4, afterHoursMinutes: 240 }
+    },
+    LSE: {
+        id: 'LSE', name: 'London Stock Exchange', suffixes: ['.L'], currency: 'GBp', // quoted in pence
+        timezone: 'Europe/London', timezoneLabel: 'UK',
+        openHour: 8, openMinute: 0, closeHour: 16, closeMinute: 30,
+        earlyCloseHour: 12, earlyCloseMinute: 30
+    },
+    TSX: {
+        id: 'TSX', name: 'Toronto Stock Exchange', suffixes: ['.TO'], currency: 'CAD',
+        timezone: 'America/Toronto', timezoneLabel: 'ET',
+        openHour: 9, openMinute: 30, closeHour: 16, closeMinute: 0,
+        earlyCloseHour: 13, earlyCloseMinute: 0
+    },
+    XETRA: {
+        id: 'XETRA', name: 'Xetra', suffixes: ['.DE'], currency: 'EUR',
+        timezone: 'Europe/Berlin', timezoneLabel: 'CET',
+        openHour: 9, openMinute: 0, closeHour: 17, closeMinute: 30,
+        earlyCloseHour: 14, earlyCloseMinute: 0
+    },
+    TSE: {
+        id: 'TSE', name: 'Tokyo Stock Exchange', suffixes: ['.T'], currency: 'JPY',
+        timezone: 'Asia/Tokyo', timezoneLabel: 'JST',
+        openHour: 9, openMinute: 0, closeHour: 15, closeMinute: 30,
+        earlyCloseHour: 11, earlyCloseMinute: 30,
+        lunchBreak: { startHour: 11, startMinute: 30, endHour: 12, endMinute: 30 }
+    }
+};
+
+// One-off closures per exchange; an entry replaces a computed one and null re-opens a computed holiday
+const MARKET_CALENDAR_OVERRIDES = {
+    US: { '2025-01-09': { name: 'National Day of Mourning', closed: true } }
+};
+
+class MarketCalendar {
+    /**
+     * Options: clock (returns the current Date; pass a fixed one for deterministic results),
+     * exchanges (definitions keyed by id) and overrides (per-exchange dates merged over the rules)
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || (() => new Date());
+        this.exchanges = options.exchanges || MARKET_EXCHANGES;
+        this.overrides = {};
+        this.cache = {}; // 'EXCHANGE-year' -> dateKey -> { name, closed | earlyClose }
+        this.mergeOverrides(options.overrides || MARKET_CALENDAR_OVERRIDES);
+    }
+    
+    /**
+     * Current time from the injectable clock
+     */
+    now() {
+        return this.clock();
+    }
+    
+    /**
+     * Exchange a ticker trades on, from its suffix (e.g. VOD.L -> LSE)
+     */
+    getExchangeForSymbol(ticker) {
+        const symbol = (ticker || '').toUpperCase();
+        return Object.values(this.exchanges).find(exchange =>
+            exchange.suffixes.some(suffix => symbol.endsWith(suffix))
+        ) || this.exchanges.US;
+    }
+    
+    /**
+     * Merge per-exchange overrides ({ US: { '2025-01-09': {...} } }) over the current ones
+     */
+    mergeOverrides(overridesByExchange) {
+        Object.entries(overridesByExchange).forEach(([exchangeId, overrides]) => {
+            this.overrides[exchangeId] = { ...this.overrides[exchangeId], ...overrides };
+        });
+        this.cache = {};
+    }
+    
+    /**
+     * Override one date: { name, closed: true }, { name, earlyClose: true }, or null to trade normally
+     */
+    setOverride(dateKey, entry, exchangeId = 'US') {
+        this.mergeOverrides({ [exchangeId]: { [dateKey]: entry } });
+    }
+    
+    /**
+     * Wall-clock fields (year, month, day, hour, minute, second) of an instant in a timezone
+     */
+    getZonedParts(instant, timezone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(instant).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = parseInt(value);
+        });
+        return parts;
+    }
+    
+    /**
+     * Wall-clock time in an exchange's timezone, as a Date whose fields read in exchange time
+     */
+    getExchangeTime(exchange = this.exchanges.US, instant = this.now()) {
+        const parts = this.getZonedParts(instant, exchange.timezone);
+        return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+    
+    /**
+     * The real instant at which an exchange-local wall-clock time occurs (inverse of getExchangeTime)
+     */
+    getExchangeInstant(localTime, exchange = this.exchanges.US) {
+        const wallClockAsUtc = Date.UTC(localTime.getFullYear(), localTime.getMonth(), localTime.getDate(),
+            localTime.getHours(), localTime.getMinutes(), localTime.getSeconds());
+        let instant = wallClockAsUtc;
+        
+        // A second pass settles the offset when the first guess lands across a DST change
+        for (let pass = 0; pass < 2; pass++) {
+            const parts = this.getZonedParts(new Date(instant), exchange.timezone);
+            const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+            instant = wallClockAsUtc - offset;
+        }
+        
+        return new Date(instant);
+    }
+    
+    /**
+     * YYYY-MM-DD key for a calendar date (uses the date's own fields, e.g. an exchange-local Date)
+     */
+    formatDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Holidays and early closes for an exchange and year from its rules, with overrides applied
+     */
+    getMarketHolidays(year, exchange = this.exchanges.US) {
+        const cacheKey = `${exchange.id}-${year}`;
+        if (this.cache[cacheKey]) {
+            return this.cache[cacheKey];
+        }
+        
+        const calendar = {};
+        const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+        const rules = {
+            year: year,
+            isWeekend: isWeekend,
+            has: (date) => !!calendar[this.formatDateKey(date)],
+            add: (date, name, earlyClose = false) => {
+                calendar[this.formatDateKey(date)] = earlyClose ? { name, earlyClose: true } : { name, closed: true };
+            },
+            date: (month, day) => new Date(year, month, day),
+            nthWeekday: (month, weekday, n) => {
+                const date = new Date(year, month, 1);
+                date.setDate(1 + (weekday - date.getDay() + 7) % 7 + (n - 1) * 7);
+                return date;
+            },
+            lastWeekday: (month, weekday) => {
+                const date = new Date(year, month + 1, 0);
+                date.setDate(date.getDate() - (date.getDay() - weekday + 7) % 7);
+                return date;
+            },
+            easter: (offsetDays) => {
+                const date = this.getEasterSunday(year);
+                date.setDate(date.getDate() + offsetDays);
+                return date;
+            },
+            // Saturday holidays move back to Friday, Sunday holidays forward to Monday
+            nearestWeekday: (month, day) => {
+                const date = new Date(year, month, day);
+                if (date.getDay() === 6) date.setDate(day - 1);
+                if (date.getDay() === 0) date.setDate(day + 1);
+                return date;
+            },
+            // Weekend holidays move forward to the next weekday that is not already a holiday
+            nextFreeWeekday: (month, day) => {
+                const date = new Date(year, month, day);
+                while (isWeekend(date) || calendar[this.formatDateKey(date)]) date.setDate(date.getDate() + 1);
+                return date;
+            }
+        };
+        
+        switch (exchange.id) {
+            case 'LSE': this.addLseHolidays(rules); break;
+            case 'TSX': this.addTsxHolidays(rules); break;
+            case 'XETRA': this.addXetraHolidays(rules); break;
+            case 'TSE': this.addTseHolidays(rules); break;
+            default: this.addNyseHolidays(rules);
+        }
+        
+        Object.entries(this.overrides[exchange.id] || {})
+            .filter(([dateKey]) => dateKey.startsWith(`${year}-`))
+            .forEach(([dateKey, entry]) => {
+                if (entry) calendar[dateKey] = entry;
+                else delete calendar[dateKey];
+            });
+        
+        this.cache[cacheKey] = calendar;
+        return calendar;
+    }
+    
+    addNyseHolidays({ year, isWeekend, has, add, date, nthWeekday, lastWeekday, easter, nearestWeekday }) {
+        // New Year's Day is not moved back into the previous year when it falls on a Saturday
+        if (date(0, 1).getDay() !== 6) add(nearestWeekday(0, 1), "New Year's Day");
+        add(nthWeekday(0, 1, 3), 'Martin Luther King Jr. Day');
+        add(nthWeekday(1, 1, 3), "Washington's Birthday");
+        add(easter(-2), 'Good Friday');
+        add(lastWeekday(4, 1), 'Memorial Day');
+        if (year >= 2022) add(nearestWeekday(5, 19), 'Juneteenth');
+        add(nearestWeekday(6, 4), 'Independence Day');
+        if (!isWeekend(date(6, 3)) && !has(date(6, 3))) add(date(6, 3), 'Day before Independence Day', true);
+        add(nthWeekday(8, 1, 1), 'Labor Day');
+        const thanksgiving = nthWeekday(10, 4, 4);
+        add(thanksgiving, 'Thanksgiving Day');
+        add(date(10, thanksgiving.getDate() + 1), 'Day after Thanksgiving', true);
+        add(nearestWeekday(11, 25), 'Christmas Day');
+        if (!isWeekend(date(11, 24)) && !has(date(11, 24))) add(date(11, 24), 'Christmas Eve', true);
+    }
+    
+    addLseHolidays({ isWeekend, add, date, nthWeekday, lastWeekday, easter, nextFreeWeekday }) {
+        add(nextFreeWeekday(0, 1), "New Year's Day");
+        add(easter(-2), 'Good Friday');
+        add(easter(1), 'Easter Monday');
+        add(nthWeekday(4, 1, 1), 'Early May Bank Holiday');
+        add(lastWeekday(4, 1), 'Spring Bank Holiday');
+        add(lastWeekday(7, 1), 'Summer Bank Holiday');
+        add(nextFreeWeekday(11, 25), 'Christmas Day');
+        add(nextFreeWeekday(11, 26), 'Boxing Day');
+        if (!isWeekend(date(11, 24))) add(date(11, 24), 'Christmas Eve', true);
+        if (!isWeekend(date(11, 31))) add(date(11, 31), "New Year's Eve", true);
+    }
+    
+    addTsxHolidays({ isWeekend, has, add, date, nthWeekday, easter, nextFreeWeekday }) {
+        add(nextFreeWeekday(0, 1), "New Year's Day");
+        add(nthWeekday(1, 1, 3), 'Family Day');
+        add(easter(-2), 'Good Friday');
+        // Victoria Day: the Monday before May 25
+        const victoriaDay = date(4, 24);
+        victoriaDay.setDate(24 - (victoriaDay.getDay() + 6) % 7);
+        add(victoriaDay, 'Victoria Day');
+        add(nextFreeWeekday(6, 1), 'Canada Day');
+        add(nthWeekday(7, 1, 1), 'Civic Holiday');
+        add(nthWeekday(8, 1, 1), 'Labour Day');
+        add(nthWeekday(9, 1, 2), 'Thanksgiving Day');
+        add(nextFreeWeekday(11, 25), 'Christmas Day');
+        add(nextFreeWeekday(11, 26), 'Boxing Day');
+        if (!isWeekend(date(11, 24)) && !has(date(11, 24))) add(date(11, 24), 'Christmas Eve', true);
+    }
+    
+    addXetraHolidays({ add, date, easter }) {
+        // Fixed dates are not moved when they fall on a weekend
+        add(date(0, 1), "New Year's Day");
+        add(easter(-2), 'Good Friday');
+        add(easter(1), 'Easter Monday');
+        add(date(4, 1), 'Labour Day');
+        add(date(11, 24), 'Christmas Eve');
+        add(date(11, 25), 'Christmas Day');
+        add(date(11, 26), 'Boxing Day');
+        add(date(11, 31), "New Year's Eve");
+    }
+    
+    addTseHolidays({ year, has, add, date, nthWeekday }) {
+        // Equinox days from the standard approximation used for the Japanese calendar
+        const leapOffset = Math.floor((year - 1980) / 4);
+        const vernalEquinox = Math.floor(20.8431 + 0.242194 * (year - 1980) - leapOffset);
+        const autumnalEquinox = Math.floor(23.2488 + 0.242194 * (year - 1980) - leapOffset);
+        
+        const national = [
+            [date(0, 1), "New Year's Day"],
+            [nthWeekday(0, 1, 2), 'Coming of Age Day'],
+            [date(1, 11), 'National Foundation Day'],
+            [date(1, 23), "Emperor's Birthday"],
+            [date(2, vernalEquinox), 'Vernal Equinox Day'],
+            [date(3, 29), 'Showa Day'],
+            [date(4, 3), 'Constitution Memorial Day'],
+            [date(4, 4), 'Greenery Day'],
+            [date(4, 5), "Children's Day"],
+            [nthWeekday(6, 1, 3), 'Marine Day'],
+            [date(7, 11), 'Mountain Day'],
+            [nthWeekday(8, 1, 3), 'Respect for the Aged Day'],
+            [date(8, autumnalEquinox), 'Autumnal Equinox Day'],
+            [nthWeekday(9, 1, 2), 'Sports Day'],
+            [date(10, 3), 'Culture Day'],
+            [date(10, 23), 'Labor Thanksgiving Day']
+        ];
+        national.forEach(([day, name]) => add(day, name));
+        
+        // A weekday sandwiched between two holidays is also a holiday
+        national.forEach(([day]) => {
+            const between = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+            const after = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 2);
+            if (!has(between) && has(after) && between.getDay() !== 0) add(between, "Citizens' Holiday");
+        });
+        
+        // A Sunday holiday is substituted by the next day that is not already a holiday
+        national.filter(([day]) => day.getDay() === 0).forEach(([day]) => {
+            const substitute = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+            while (has(substitute)) substitute.setDate(substitute.getDate() + 1);
+            add(substitute, 'Substitute Holiday');
+        });
+        
+        // The exchange is also closed for the year-end holidays
+        add(date(0, 2), 'Market Holiday');
+        add(date(0, 3), 'Market Holiday');
+        add(date(11, 31), 'Market Holiday');
+    }
+    
+    /**
+     * Easter Sunday (anonymous Gregorian algorithm)
+     */
+    getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(year, month - 1, day);
+    }
+    
+    /**
+     * Trading hours for a calendar date: weekends and holidays are closed, half days close early
+     */
+    getMarketDay(date, exchange = this.exchanges.US) {
+        const day = date.getDay();
+        const entry = this.getMarketHolidays(date.getFullYear(), exchange)[this.formatDateKey(date)] || null;
+        const earlyClose = !!(entry && entry.earlyClose);
+        const closeMinutes = earlyClose
+            ? exchange.earlyCloseHour * 60 + exchange.earlyCloseMinute
+            : exchange.closeHour * 60 + exchange.closeMinute;
+        const lunchBreak = exchange.lunchBreak && !earlyClose ? exchange.lunchBreak : null;
+        
+        return {
+            isTradingDay: day !== 0 && day !== 6 && !(entry && entry.closed),
+            isWeekend: day === 0 || day === 6,
+            holiday: entry,
+            earlyClose: earlyClose,
+            openMinutes: exchange.openHour * 60 + exchange.openMinute,
+            closeMinutes: closeMinutes,
+            breakStartMinutes: lunchBreak ? lunchBreak.startHour * 60 + lunchBreak.startMinute : null,
+            breakEndMinutes: lunchBreak ? lunchBreak.endHour * 60 + lunchBreak.endMinute : null
+        };
+    }
+    
+    /**
+     * Exact instants for the regular session: whether it is open now, when it next opens and
+     * when the current (or next) session closes. A lunch break splits the day into two sessions.
+     */
+    getMarketSessions(exchange = this.exchanges.US, instant = this.now()) {
+        const localTime = this.getExchangeTime(exchange, instant);
+        const day = new Date(localTime.getFullYear(), localTime.getMonth(), localTime.getDate());
+        const at = (minutes) => this.getExchangeInstant(
+            new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes), exchange
+        );
+        let currentClose = null;
+        
+        // Two weeks comfortably covers the longest run of weekends and holidays
+        for (let i = 0; i < 14; i++, day.setDate(day.getDate() + 1)) {
+            const marketDay = this.getMarketDay(day, exchange);
+            if (!marketDay.isTradingDay) continue;
+            
+            const sessions = marketDay.breakStartMinutes !== null
+                ? [[marketDay.openMinutes, marketDay.breakStartMinutes], [marketDay.breakEndMinutes, marketDay.closeMinutes]]
+                : [[marketDay.openMinutes, marketDay.closeMinutes]];
+            
+            for (const [openMinutes, closeMinutes] of sessions) {
+                const open = at(openMinutes);
+                const close = at(closeMinutes);
+                
+                if (close <= instant) continue;
+                if (open <= instant) {
+                    currentClose = close; // in session now; keep looking for the following open
+                    continue;
+                }
+                
+                return { isOpen: currentClose !== null, nextOpen: open, nextClose: currentClose || close };
+            }
+        }
+        
+        return { isOpen: currentClose !== null, nextOpen: null, nextClose: currentClose };
+    }
+    
+    /**
+     * Whether the regular session is open at an instant
+     */
+    isMarketOpen(exchange = this.exchanges.US, instant = this.now()) {
+        return this.getMarketSessions(exchange, instant).isOpen;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarketCalendar, MARKET_EXCHANGES };
+}
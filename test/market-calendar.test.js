@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MarketCalendar } = require('../market-calendar.js');
+
+const at = (iso) => new Date(iso);
+const calendarAt = (iso) => new MarketCalendar({ clock: () => at(iso) });
+
+test('2 AM Tuesday: the next open is the same morning, not Wednesday', () => {
+    const calendar = calendarAt('2025-03-11T06:00:00Z'); // 02:00 EDT
+    const sessions = calendar.getMarketSessions(calendar.exchanges.US);
+
+    assert.equal(sessions.isOpen, false);
+    assert.deepEqual(sessions.nextOpen, at('2025-03-11T13:30:00Z'));
+    assert.deepEqual(sessions.nextClose, at('2025-03-11T20:00:00Z'));
+});
+
+test('during the session the close is today and the next open is tomorrow', () => {
+    const calendar = calendarAt('2025-03-12T15:00:00Z'); // Wednesday 11:00 EDT
+    const sessions = calendar.getMarketSessions(calendar.exchanges.US);
+
+    assert.equal(sessions.isOpen, true);
+    assert.deepEqual(sessions.nextClose, at('2025-03-12T20:00:00Z'));
+    assert.deepEqual(sessions.nextOpen, at('2025-03-13T13:30:00Z'));
+});
+
+test('Friday after the close skips the weekend', () => {
+    const calendar = calendarAt('2025-03-14T21:00:00Z'); // Friday 17:00 EDT
+    const sessions = calendar.getMarketSessions(calendar.exchanges.US);
+
+    assert.equal(sessions.isOpen, false);
+    assert.deepEqual(sessions.nextOpen, at('2025-03-17T13:30:00Z'));
+});
+
+test('Friday in session closes the same day and reopens Monday', () => {
+    const calendar = calendarAt('2025-03-14T19:59:00Z');
+    const sessions = calendar.getMarketSessions(calendar.exchanges.US);
+
+    assert.equal(sessions.isOpen, true);
+    assert.deepEqual(sessions.nextClose, at('2025-03-14T20:00:00Z'));
+    assert.deepEqual(sessions.nextOpen, at('2025-03-17T13:30:00Z'));
+});
+
+test('the injected clock is the default instant', () => {
+    const open = calendarAt('2025-03-12T15:00:00Z');
+    const closed = calendarAt('2025-03-15T15:00:00Z'); // Saturday
+
+    assert.equal(open.isMarketOpen(open.exchanges.US), true);
+    assert.equal(closed.isMarketOpen(closed.exchanges.US), false);
+});
+
+test('NYSE holidays are closed, including observed and Easter-based dates', () => {
+    const calendar = new MarketCalendar();
+    const day = (y, m, d) => calendar.getMarketDay(new Date(y, m - 1, d), calendar.exchanges.US);
+
+    assert.equal(day(2025, 11, 27).isTradingDay, false); // Thanksgiving
+    assert.equal(day(2025, 11, 27).holiday.name, 'Thanksgiving Day');
+    assert.equal(day(2025, 4, 18).isTradingDay, false); // Good Friday
+    assert.equal(day(2025, 7, 4).isTradingDay, false);
+    assert.equal(day(2027, 6, 18).isTradingDay, false); // Juneteenth on a Saturday is observed Friday
+    assert.equal(day(2021, 12, 31).isTradingDay, true); // New Year's Day 2022 was a Saturday: not moved back
+    assert.equal(day(2025, 1, 9).isTradingDay, false); // built-in one-off closure
+});
+
+test('a holiday pushes the next open to the following session', () => {
+    const calendar = calendarAt('2025-11-27T15:00:00Z'); // Thanksgiving, 10:00 EST
+    const sessions = calendar.getMarketSessions(calendar.exchanges.US);
+
+    assert.equal(sessions.isOpen, false);
+    assert.deepEqual(sessions.nextOpen, at('2025-11-28T14:30:00Z'));
+    // The day after Thanksgiving is a half day closing at 13:00 EST
+    assert.deepEqual(sessions.nextClose, at('2025-11-28T18:00:00Z'));
+});
+
+test('half days close at 1 PM and the following holiday is skipped', () => {
+    const calendar = calendarAt('2025-07-03T17:30:00Z'); // 13:30 EDT on the July 3 half day
+    const marketDay = calendar.getMarketDay(new Date(2025, 6, 3), calendar.exchanges.US);
+    const sessions = calendar.getMarketSessions(calendar.exchanges.US);
+
+    assert.equal(marketDay.earlyClose, true);
+    assert.equal(marketDay.closeMinutes, 13 * 60);
+    assert.equal(sessions.isOpen, false);
+    assert.deepEqual(sessions.nextOpen, at('2025-07-07T13:30:00Z')); // July 4 is closed
+});
+
+test('overrides close a trading day or re-open a computed holiday', () => {
+    const calendar = new MarketCalendar();
+    const day = (y, m, d) => calendar.getMarketDay(new Date(y, m - 1, d), calendar.exchanges.US);
+
+    calendar.setOverride('2025-03-12', { name: 'Test Closure', closed: true });
+    calendar.setOverride('2025-11-27', null);
+
+    assert.equal(day(2025, 3, 12).isTradingDay, false);
+    assert.equal(day(2025, 11, 27).isTradingDay, true);
+});
+
+test('US spring-forward: the open after the change is an hour earlier in UTC', () => {
+    const calendar = calendarAt('2025-03-07T22:00:00Z'); // Friday 17:00 EST
+    assert.deepEqual(calendar.getMarketSessions(calendar.exchanges.US).nextOpen, at('2025-03-10T13:30:00Z'));
+});
+
+test('US fall-back: the open after the change is an hour later in UTC', () => {
+    const calendar = calendarAt('2025-10-31T21:00:00Z'); // Friday 17:00 EDT
+    assert.deepEqual(calendar.getMarketSessions(calendar.exchanges.US).nextOpen, at('2025-11-03T14:30:00Z'));
+});
+
+test('US and UK DST changes on different weekends are handled per exchange', () => {
+    // Between the US (March 9) and UK (March 30) changes New York is 4 hours behind London
+    const calendar = calendarAt('2025-03-28T17:00:00Z');
+    const lse = calendar.exchanges.LSE;
+
+    assert.deepEqual(calendar.getMarketSessions(lse).nextOpen, at('2025-03-31T07:00:00Z')); // 08:00 BST
+    assert.deepEqual(calendar.getExchangeInstant(new Date(2025, 2, 28, 8, 0), lse), at('2025-03-28T08:00:00Z')); // GMT
+});
+
+test('exchange-local wall clock round-trips through the exchange instant', () => {
+    const calendar = new MarketCalendar();
+    const instant = at('2025-03-09T07:30:00Z'); // 03:30 EDT, just after the spring-forward gap
+    const local = calendar.getExchangeTime(calendar.exchanges.US, instant);
+
+    assert.equal(local.getHours(), 3);
+    assert.deepEqual(calendar.getExchangeInstant(local, calendar.exchanges.US), instant);
+});
+
+test('Tokyo lunch break splits the day into two sessions', () => {
+    const calendar = calendarAt('2025-03-10T02:45:00Z'); // 11:45 JST
+    const sessions = calendar.getMarketSessions(calendar.exchanges.TSE);
+
+    assert.equal(sessions.isOpen, false);
+    assert.deepEqual(sessions.nextOpen, at('2025-03-10T03:30:00Z'));
+    assert.deepEqual(sessions.nextClose, at('2025-03-10T06:30:00Z'));
+});
+
+test('ticker suffixes select the exchange', () => {
+    const calendar = new MarketCalendar();
+
+    assert.equal(calendar.getExchangeForSymbol('vod.l').id, 'LSE');
+    assert.equal(calendar.getExchangeForSymbol('SHOP.TO').id, 'TSX');
+    assert.equal(calendar.getExchangeForSymbol('7203.T').id, 'TSE');
+    assert.equal(calendar.getExchangeForSymbol('AAPL').id, 'US');
+});